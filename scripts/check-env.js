@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 import dotenv from 'dotenv';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -14,8 +15,20 @@ dotenv.config({ path: path.resolve(__dirname, '../../../.env') });
 console.log('🔍 Drip MCP Server - Environment Check\n');
 console.log('='.repeat(50));
 
-// Check API Key
-if (process.env.DRIP_API_KEY) {
+// Check credentials for the configured auth type
+const authType = process.env.DRIP_AUTH_TYPE || 'api_key';
+console.log(`🔐 DRIP_AUTH_TYPE: ${authType}`);
+
+if (authType === 'oauth') {
+  if (process.env.DRIP_ACCESS_TOKEN) {
+    console.log('✅ DRIP_ACCESS_TOKEN found');
+  } else if (process.env.DRIP_TOKEN_FILE) {
+    const found = fs.existsSync(process.env.DRIP_TOKEN_FILE);
+    console.log(`${found ? '✅' : '❌'} DRIP_TOKEN_FILE: ${process.env.DRIP_TOKEN_FILE}${found ? '' : ' (missing — run npm run oauth)'}`);
+  } else {
+    console.log('❌ DRIP_ACCESS_TOKEN or DRIP_TOKEN_FILE required for oauth');
+  }
+} else if (process.env.DRIP_API_KEY) {
   const key = process.env.DRIP_API_KEY;
   const masked = key.substring(0, 4) + '*'.repeat(Math.max(0, key.length - 8)) + key.substring(key.length - 4);
   console.log(`✅ DRIP_API_KEY found: ${masked}`);
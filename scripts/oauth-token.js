@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildAuthorizationUrl, exchangeAuthorizationCode, FileTokenStore } from '../src/oauth.js';
+
+// Get the directory name
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables from root MonoKit directory
+dotenv.config({ path: path.resolve(__dirname, '../../../.env') });
+
+// Usage:
+//   npm run oauth            -> prints the URL to authorize the application
+//   npm run oauth -- <code>  -> exchanges the code and saves the token
+const code = process.argv[2];
+const clientId = process.env.DRIP_OAUTH_CLIENT_ID;
+const clientSecret = process.env.DRIP_OAUTH_CLIENT_SECRET;
+const redirectUri = process.env.DRIP_OAUTH_REDIRECT_URI;
+const tokenFile = process.env.DRIP_TOKEN_FILE;
+
+if (!clientId || !redirectUri) {
+  console.error('❌ DRIP_OAUTH_CLIENT_ID and DRIP_OAUTH_REDIRECT_URI must be set');
+  process.exit(1);
+}
+
+if (!code) {
+  console.log('🔗 Open this URL, approve access, then re-run with the "code" from the redirect:\n');
+  console.log(buildAuthorizationUrl({ clientId, redirectUri }));
+  console.log('\n   npm run oauth -- <code>');
+  process.exit(0);
+}
+
+try {
+  const token = await exchangeAuthorizationCode({ clientId, clientSecret, code, redirectUri });
+  if (tokenFile) {
+    new FileTokenStore(tokenFile).save(token);
+    console.log(`✅ Access token saved to ${tokenFile}`);
+    console.log('   Set DRIP_AUTH_TYPE=oauth to use it.');
+  } else {
+    console.log('✅ Access token received. Set these in your environment:\n');
+    console.log('DRIP_AUTH_TYPE=oauth');
+    console.log(`DRIP_ACCESS_TOKEN=${token.access_token}`);
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -1,55 +1,241 @@
 import axios from 'axios';
+import { RateLimiter, rateLimitClass } from './rate-limiter.js';
+import { DEFAULT_RETRY_POLICY, isRetryableError, isSafeToRetry, retryDelay, sleep } from './retry.js';
+import { buildSubscriberSearch } from './subscriber-search.js';
+import { DripApiError, DripCancelledError, DripValidationError, parseErrorPayload, throwIfCancelled } from './errors.js';
+
+// Webhook event names documented in the Drip API reference
+export const WEBHOOK_EVENTS = [
+  'subscriber.created',
+  'subscriber.deleted',
+  'subscriber.marked_as_deliverable',
+  'subscriber.marked_as_undeliverable',
+  'subscriber.subscribed_to_email_marketing',
+  'subscriber.subscribed_to_campaign',
+  'subscriber.removed_from_campaign',
+  'subscriber.unsubscribed_from_campaign',
+  'subscriber.unsubscribed_all',
+  'subscriber.reactivated',
+  'subscriber.completed_campaign',
+  'subscriber.applied_tag',
+  'subscriber.removed_tag',
+  'subscriber.updated_custom_field',
+  'subscriber.updated_email_address',
+  'subscriber.updated_lifetime_value',
+  'subscriber.updated_time_zone',
+  'subscriber.received_email',
+  'subscriber.opened_email',
+  'subscriber.clicked_email',
+  'subscriber.bounced',
+  'subscriber.complained',
+  'subscriber.clicked_trigger_link',
+  'subscriber.visited_page',
+  'subscriber.became_lead',
+  'subscriber.became_non_prospect',
+  'subscriber.updated_lead_score',
+  'subscriber.performed_custom_event',
+  'subscriber.updated_alias',
+];
+
+// Record key in the response of each paginated list method
+const LIST_KEYS = {
+  listSubscribers: 'subscribers',
+  listCampaigns: 'campaigns',
+  listWorkflows: 'workflows',
+  listForms: 'forms',
+  listBroadcasts: 'broadcasts',
+  listConversions: 'goals',
+  listEventActions: 'event_actions',
+};
+
+// Safety cap on records collected by listAll unless max_records says otherwise
+const DEFAULT_MAX_RECORDS = 10000;
+
+// Records per batch request (Drip's limit for every batch endpoint)
+const BATCH_SIZE = 1000;
+
+// syncProductCatalog summary key for each product action
+const SUBMITTED_COUNTS = { created: 'submitted_create', updated: 'submitted_update', deleted: 'submitted_delete' };
+
+// Rounding slack allowed when checking order line items against grand_total
+const ORDER_TOTAL_TOLERANCE_CENTS = 1;
 
 export class DripClient {
-  constructor(apiKey, accountId, options = {}) {
-    if (!apiKey || !accountId) {
-      throw new Error('Drip API key and account ID are required');
+  // `credential` is an API key by default, or an OAuth access token when
+  // options.authType is 'oauth'
+  constructor(credential, accountId, options = {}) {
+    this.authType = options.authType || 'api_key';
+    if (!['api_key', 'oauth'].includes(this.authType)) {
+      throw new Error(`Invalid auth type "${this.authType}". Must be one of: api_key, oauth`);
+    }
+    if (!credential || !accountId) {
+      throw new Error(this.authType === 'oauth'
+        ? 'Drip OAuth access token and account ID are required'
+        : 'Drip API key and account ID are required');
     }
 
-    this.apiKey = apiKey;
+    this.apiKey = this.authType === 'api_key' ? credential : null;
+    this.accessToken = this.authType === 'oauth' ? credential : null;
     this.accountId = accountId;
     this.baseUrl = `https://api.getdrip.com/v2/${accountId}`;
+    // Shopper Activity endpoints live under v3; requests use absolute URLs
+    // so they share the same axios instance (auth, headers, interceptors)
+    this.v3BaseUrl = `https://api.getdrip.com/v3/${accountId}`;
     this.axiosModule = options.axiosModule || axios;
     
     // Email validation regex
     this.emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+    // Account tag / event action catalogs used for near-match warnings
+    this.catalogCache = new Map();
+    this.catalogTtl = options.catalogTtl ?? 5 * 60 * 1000;
     
-    // Create axios instance with default config
-    // Drip uses Basic auth with API key as username and empty password
+    // Request budget tracking; shared between clients that use the same
+    // credentials since Drip's limits are per user, not per account
+    this.rateLimiter = options.rateLimiter || new RateLimiter();
+
+    // Retries for 429/5xx and network errors on requests that are safe to
+    // repeat (see isSafeToRetry). Every attempt is passed to onAttempt.
+    this.retryPolicy = { ...DEFAULT_RETRY_POLICY, ...options.retry };
+    this.onAttempt = options.onAttempt || null;
+    this.sleep = options.sleep || sleep;
+
+    // AbortSignal of the operation a request belongs to (the MCP server
+    // supplies the tool call's). Requests carry it, so cancelling stops rate
+    // limit waits, retries and the HTTP request itself.
+    this.currentSignal = options.currentSignal || (() => undefined);
+    this.random = options.random || Math.random;
+
+    // Create axios instance with default config; every request (including
+    // the account-independent /accounts call) goes through it
     this.client = options.httpClient || this.axiosModule.create({
       baseURL: this.baseUrl,
-      auth: {
-        username: apiKey,
-        password: ''
-      },
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        'User-Agent': 'MonoKit MCP Server (https://github.com/monokit)'
-      },
+      ...this.authConfig(),
       timeout: 30000,
     });
 
-    // Add response interceptor for error handling
+    // Hold requests back while the hourly budget for their endpoint class is low
+    this.client.interceptors.request.use(async (config) => {
+      config.signal = config.signal || this.currentSignal();
+      throwIfCancelled(config.signal);
+      await this.rateLimiter.acquire(rateLimitClass(config.url), config.signal);
+      return config;
+    });
+
+    // Add response interceptor for rate limit tracking, retries and error handling
     this.client.interceptors.response.use(
-      (response) => response,
-      (error) => {
+      (response) => {
+        this.rateLimiter.update(rateLimitClass(response.config?.url), response.status, response.headers);
+        this.reportAttempt(response.config, { status: response.status });
+        return response;
+      },
+      async (error) => {
+        // Cancelled before the request was sent
+        if (error instanceof DripCancelledError) throw error;
+
+        const config = error.config;
+        if (config?.signal?.aborted || error.code === 'ERR_CANCELED') {
+          this.reportAttempt(config, { status: null, error: 'cancelled' });
+          throw new DripCancelledError('Request cancelled', { requestSent: true });
+        }
+        if (error.response) {
+          this.rateLimiter.update(rateLimitClass(config?.url), error.response.status, error.response.headers);
+        }
+
+        const attempt = config?.retryAttempt || 1;
+        const retry = Boolean(config) && attempt <= this.retryPolicy.retries &&
+          isRetryableError(error) && isSafeToRetry(config);
+        const delay = retry ? retryDelay(this.retryPolicy, attempt, error, this.random) : null;
+        this.reportAttempt(config, {
+          status: error.response?.status ?? null,
+          error: error.response ? undefined : (error.code || error.message),
+          retry_in_ms: delay ?? undefined,
+        });
+
+        if (retry) {
+          try {
+            await this.sleep(delay, config.signal);
+          } catch (cancelled) {
+            cancelled.requestSent = true;
+            throw cancelled;
+          }
+          return this.client.request({ ...config, retryAttempt: attempt + 1 });
+        }
+
         if (error.response) {
-          const errorMessage = this.formatError(error.response);
-          throw new Error(errorMessage);
+          const errors = parseErrorPayload(error.response.data);
+          throw new DripApiError(this.formatError(error.response), {
+            status: error.response.status,
+            code: errors.find(e => e.code)?.code,
+            fieldErrors: errors.filter(e => e.attribute),
+            method: config?.method?.toUpperCase(),
+            path: config?.url,
+          });
         }
         throw error;
       }
     );
   }
 
+  // A copy of this client that records the requests it would send instead
+  // of sending them, after all of the usual validation and formatting. GET
+  // requests still go to Drip so lookups (e.g. check_goal) work as usual;
+  // anything else is added to `requests` and answered with an empty 204.
+  // Batch requests carry their chunk number, chunk count and the positions
+  // of their first and last records.
+  dryRun() {
+    const requests = [];
+    const client = Object.create(this);
+    const record = (method) => async (url, data, config = {}) => {
+      const { pathname, search } = new URL(/^https?:/.test(url) ? url : `${this.baseUrl}${url}`);
+      requests.push({ method, path: `${pathname}${search}`, body: data ?? null, ...config.chunkInfo });
+      return { status: 204, data: '', headers: {} };
+    };
+    client.client = {
+      get: (...args) => this.client.get(...args),
+      post: record('POST'),
+      put: record('PUT'),
+      delete: (url, config) => record('DELETE')(url, undefined, config),
+    };
+    // Nothing was created, so the tag and event action catalogs stay as they are
+    client.rememberCatalogNames = () => {};
+    return { client, requests };
+  }
+
+  reportAttempt(config, outcome) {
+    if (!this.onAttempt || !config) return;
+    this.onAttempt({
+      method: (config.method || 'get').toUpperCase(),
+      url: config.url,
+      attempt: config.retryAttempt || 1,
+      ...outcome,
+    });
+  }
+
+  // Axios config for the configured auth strategy. API keys use Basic auth
+  // with the key as username and an empty password; OAuth tokens are sent
+  // as a Bearer token.
+  authConfig() {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      'User-Agent': 'MonoKit MCP Server (https://github.com/monokit)'
+    };
+
+    if (this.authType === 'oauth') {
+      return { headers: { ...headers, 'Authorization': `Bearer ${this.accessToken}` } };
+    }
+    return { auth: { username: this.apiKey, password: '' }, headers };
+  }
+
   formatError(response) {
     const { status, data } = response;
     let message = `API Error (${status}): `;
 
     if (data && data.errors) {
       if (Array.isArray(data.errors)) {
-        message += data.errors.map(e => e.message || e).join(', ');
+        // Transition errors carry only a code
+        message += data.errors.map(e => e.message || e.code || e).join(', ');
       } else if (typeof data.errors === 'object') {
         message += Object.entries(data.errors)
           .map(([field, errors]) => `${field}: ${errors.join(', ')}`)
@@ -70,16 +256,16 @@ export class DripClient {
 
   validateEmail(email) {
     if (!email || typeof email !== 'string') {
-      throw new Error('Email is required and must be a string');
+      throw new DripValidationError('Email is required and must be a string');
     }
     if (email.trim() === '') {
-      throw new Error('Email cannot be empty');
+      throw new DripValidationError('Email cannot be empty');
     }
     if (!this.emailRegex.test(email)) {
-      throw new Error(`Invalid email format: ${email}`);
+      throw new DripValidationError(`Invalid email format: ${email}`);
     }
     if (email.length > 254) {
-      throw new Error('Email address is too long (max 254 characters)');
+      throw new DripValidationError('Email address is too long (max 254 characters)');
     }
     return email.toLowerCase().trim();
   }
@@ -98,15 +284,15 @@ export class DripClient {
       const tagStr = String(tag).trim();
       
       if (tagStr === '') {
-        throw new Error('Tag cannot be empty');
+        throw new DripValidationError('Tag cannot be empty');
       }
       if (tagStr.length > 255) {
-        throw new Error(`Tag is too long (max 255 characters): ${tagStr.substring(0, 50)}...`);
+        throw new DripValidationError(`Tag is too long (max 255 characters): ${tagStr.substring(0, 50)}...`);
       }
       // Remove special characters that might cause issues
       const cleanTag = tagStr.replace(/[<>\"'&\n\r\t]/g, '');
       if (cleanTag !== tagStr) {
-        throw new Error(`Tag contains invalid characters: ${tagStr}`);
+        throw new DripValidationError(`Tag contains invalid characters: ${tagStr}`);
       }
       
       validTags.push(tagStr);
@@ -125,7 +311,7 @@ export class DripClient {
       // Check for 'value' property specifically - must be integer
       if (key === 'value') {
         if (typeof value !== 'number' || !Number.isInteger(value)) {
-          throw new Error('Event property "value" must be an integer, not a float or string');
+          throw new DripValidationError('Event property "value" must be an integer, not a float or string');
         }
       }
       validated[key] = value;
@@ -142,7 +328,7 @@ export class DripClient {
     // Try to parse the date
     const parsed = new Date(date);
     if (isNaN(parsed.getTime())) {
-      throw new Error(`Invalid date format: ${date}`);
+      throw new DripValidationError(`Invalid date format: ${date}`);
     }
     
     const now = new Date();
@@ -161,13 +347,13 @@ export class DripClient {
       const minDate = new Date();
       minDate.setDate(minDate.getDate() - maxPastDays);
       if (parsed < minDate) {
-        throw new Error(`${fieldName} cannot be more than ${maxPastDays} days in the past`);
+        throw new DripValidationError(`${fieldName} cannot be more than ${maxPastDays} days in the past`);
       }
     }
     
     // Check if date is in the future when not allowed
     if (!allowFuture && parsed > now) {
-      throw new Error(`${fieldName} cannot be in the future`);
+      throw new DripValidationError(`${fieldName} cannot be in the future`);
     }
     
     // Check if date is too far in the future
@@ -175,18 +361,18 @@ export class DripClient {
       const maxDate = new Date();
       maxDate.setDate(maxDate.getDate() + maxFutureDays);
       if (parsed > maxDate) {
-        throw new Error(`${fieldName} cannot be more than ${maxFutureDays} days in the future`);
+        throw new DripValidationError(`${fieldName} cannot be more than ${maxFutureDays} days in the future`);
       }
     }
     
     // Check for dates before Unix epoch (1970)
     if (parsed.getTime() < 0) {
-      throw new Error(`${fieldName} cannot be before January 1, 1970`);
+      throw new DripValidationError(`${fieldName} cannot be before January 1, 1970`);
     }
     
     // Check for unreasonable future dates (year 3000+)
     if (parsed.getFullYear() > 3000) {
-      throw new Error(`${fieldName} year is unreasonably far in the future`);
+      throw new DripValidationError(`${fieldName} year is unreasonably far in the future`);
     }
     
     return parsed.toISOString();
@@ -194,15 +380,177 @@ export class DripClient {
 
   validateAmount(amount) {
     if (typeof amount !== 'number') {
-      throw new Error('Amount must be a number');
+      throw new DripValidationError('Amount must be a number');
     }
     if (amount < 0) {
-      throw new Error('Amount cannot be negative');
+      throw new DripValidationError('Amount cannot be negative');
     }
     // Drip expects amounts in cents as integers
     return Math.round(amount * 100);
   }
 
+  validateProvider(provider) {
+    if (!provider || typeof provider !== 'string' || provider.trim() === '') {
+      throw new DripValidationError('Provider is required and cannot be empty');
+    }
+    const trimmed = provider.trim();
+    // Drip expects providers in lower snake case (e.g. shopify, my_custom_platform)
+    if (!/^[a-z0-9]+(_[a-z0-9]+)*$/.test(trimmed)) {
+      throw new DripValidationError(`Provider must be lower snake case (e.g. my_custom_platform): ${provider}`);
+    }
+    return trimmed;
+  }
+
+  validateUrl(url, fieldName = 'URL') {
+    if (!url || typeof url !== 'string') {
+      throw new DripValidationError(`${fieldName} is required and must be a string`);
+    }
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new DripValidationError(`${fieldName} is not a valid URL: ${url}`);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new DripValidationError(`${fieldName} must use http or https: ${url}`);
+    }
+    return url;
+  }
+
+  validateShopperIdentity(data) {
+    // Shopper Activity requires either person_id or email
+    if (data.person_id) {
+      return { person_id: String(data.person_id) };
+    }
+    if (data.email) {
+      return { email: this.validateEmail(data.email) };
+    }
+    throw new DripValidationError('Either email or person_id is required');
+  }
+
+  // === Pagination ===
+
+  // Async iterator over the pages of a listing, following meta.total_pages.
+  // `fetchPage(page)` returns the response body for one page.
+  async *pages(fetchPage, startPage = 1) {
+    let page = startPage;
+    let totalPages;
+    do {
+      const data = await fetchPage(page);
+      yield data;
+      totalPages = data?.meta?.total_pages || 1;
+      page++;
+    } while (page <= totalPages);
+  }
+
+  // Async iterator over every record of a list method, e.g.
+  //   for await (const subscriber of client.paginate('listSubscribers', { status: 'active' })) { ... }
+  async *paginate(method, params = {}) {
+    const key = LIST_KEYS[method];
+    if (!key) {
+      throw new Error(`${method} is not a paginated list method`);
+    }
+    const fetchPage = (page) => this[method]({ ...params, page, per_page: params.per_page || 1000 });
+    for await (const data of this.pages(fetchPage, params.page || 1)) {
+      yield* (data?.[key] || []);
+    }
+  }
+
+  // Collect pages into one response, stopping once maxRecords are gathered.
+  // options.onProgress is called after each page (see sendInChunks).
+  async collectPages(fetchPage, key, options = {}) {
+    const maxRecords = options.maxRecords ?? DEFAULT_MAX_RECORDS;
+    if (!Number.isInteger(maxRecords) || maxRecords < 1) {
+      throw new DripValidationError('max_records must be a positive integer');
+    }
+
+    const startPage = options.startPage || 1;
+    const records = [];
+    let meta = {};
+    let pagesFetched = 0;
+    for await (const data of this.pages(fetchPage, startPage)) {
+      pagesFetched++;
+      meta = data?.meta || {};
+      records.push(...(data?.[key] || []));
+      options.onProgress?.({
+        done: Math.min(records.length, maxRecords),
+        total: meta.total_count === undefined ? null : Math.min(meta.total_count, maxRecords),
+        chunk: pagesFetched,
+        chunks: meta.total_pages === undefined ? null : meta.total_pages - startPage + 1,
+      });
+      if (records.length >= maxRecords) break;
+    }
+
+    // Pages before startPage were skipped on purpose, not left behind
+    const lastPage = startPage + pagesFetched - 1;
+    const totalPages = meta.total_pages || lastPage;
+    return {
+      [key]: records.slice(0, maxRecords),
+      meta: {
+        total_count: meta.total_count ?? records.length,
+        total_pages: totalPages,
+        pages_fetched: pagesFetched,
+        returned_count: Math.min(records.length, maxRecords),
+        truncated: records.length > maxRecords || lastPage < totalPages,
+      },
+    };
+  }
+
+  // Every record of a list method in one response, up to params.max_records
+  async listAll(method, params = {}, options = {}) {
+    const key = LIST_KEYS[method];
+    if (!key) {
+      throw new Error(`${method} is not a paginated list method`);
+    }
+    const { max_records: maxRecords, page, ...query } = params;
+    const fetchPage = (p) => this[method]({ ...query, page: p, per_page: query.per_page || 1000 });
+    return this.collectPages(fetchPage, key, { maxRecords, startPage: page || 1, onProgress: options.onProgress });
+  }
+
+  // Send records to a batch endpoint BATCH_SIZE at a time, one request per
+  // chunk; sendChunk(batch, requestConfig) passes requestConfig (the signal,
+  // and chunkInfo: { chunk, chunks, records } for dry runs) on to axios. After each chunk options.onProgress receives
+  // { done, total, chunk, chunks } (records sent so far, records overall,
+  // 1-based chunk number, chunk count).
+  //
+  // Once options.signal (or the current call's signal) is aborted no further
+  // chunks are sent. The DripCancelledError lists the chunks Drip already
+  // accepted with the positions of their first and last records, and the
+  // chunk that was in flight when the signal fired, if any.
+  async sendInChunks(records, sendChunk, options = {}) {
+    const signal = options.signal || this.currentSignal();
+    const results = [];
+    const committedChunks = [];
+    const chunks = Math.ceil(records.length / BATCH_SIZE);
+    const cancelled = (inFlightChunk) => new DripCancelledError(
+      `Cancelled after ${committedChunks.length} of ${chunks} chunks were sent`,
+      { totalChunks: chunks, committedChunks, inFlightChunk, results }
+    );
+
+    for (let i = 0; i < records.length; i += BATCH_SIZE) {
+      const batch = records.slice(i, i + BATCH_SIZE);
+      const chunk = i / BATCH_SIZE + 1;
+      if (signal?.aborted) throw cancelled(null);
+      try {
+        const chunkInfo = { chunk, chunks, records: [i, i + batch.length - 1] };
+        results.push(await sendChunk(batch, { signal, chunkInfo }));
+      } catch (error) {
+        if (error instanceof DripCancelledError || signal?.aborted) {
+          throw cancelled(error.requestSent === false ? null : chunk);
+        }
+        throw error;
+      }
+      committedChunks.push({ chunk, records: [i, i + batch.length - 1] });
+      options.onProgress?.({
+        done: i + batch.length,
+        total: records.length,
+        chunk,
+        chunks,
+      });
+    }
+    return results;
+  }
+
   // === Subscriber Methods ===
 
   async createOrUpdateSubscriber(subscriberData) {
@@ -269,7 +617,7 @@ export class DripClient {
     const validatedTags = this.validateTags(tags);
     
     if (validatedTags.length === 0) {
-      throw new Error('At least one valid tag is required');
+      throw new DripValidationError('At least one valid tag is required');
     }
     
     const identifier = encodeURIComponent(email);
@@ -278,6 +626,7 @@ export class DripClient {
     };
 
     const response = await this.client.post(`/subscribers/${identifier}/tags`, payload);
+    this.rememberCatalogNames('tags', validatedTags);
     return response.data;
   }
 
@@ -297,7 +646,7 @@ export class DripClient {
     const email = this.validateEmail(eventData.email);
     
     if (!eventData.action || typeof eventData.action !== 'string' || eventData.action.trim() === '') {
-      throw new Error('Event action is required and cannot be empty');
+      throw new DripValidationError('Event action is required and cannot be empty');
     }
     
     // Validate event properties (especially 'value' must be integer)
@@ -311,16 +660,25 @@ export class DripClient {
       fieldName: 'Event occurred_at'
     });
     
+    // A caller-supplied dedupe key travels with the event so consumers can
+    // drop duplicates. Drip itself doesn't deduplicate on it, so the POST is
+    // still not retried.
+    const dedupeKey = eventData.dedupe_key;
+    if (dedupeKey !== undefined && (typeof dedupeKey !== 'string' || dedupeKey.trim() === '')) {
+      throw new DripValidationError('dedupe_key must be a non-empty string');
+    }
+
     const payload = {
       events: [{
         email: email,
         action: eventData.action.trim(),
-        properties: properties,
+        properties: dedupeKey ? { ...properties, dedupe_key: dedupeKey } : properties,
         occurred_at: occurred_at,
       }],
     };
 
     const response = await this.client.post('/events', payload);
+    this.rememberCatalogNames('event_actions', [payload.events[0].action]);
     // Events endpoint returns 204 No Content on success
     return response.status === 204 ? { success: true } : response.data;
   }
@@ -349,11 +707,56 @@ export class DripClient {
     return response.data.subscribers?.[0] || response.data;
   }
 
+  async getCampaign(campaignId) {
+    const response = await this.client.get(`/campaigns/${campaignId}`);
+    return response.data;
+  }
+
+  async activateCampaign(campaignId) {
+    const response = await this.client.post(`/campaigns/${campaignId}/activate`);
+    return response.status === 204 ? { success: true } : response.data;
+  }
+
+  async pauseCampaign(campaignId) {
+    const response = await this.client.post(`/campaigns/${campaignId}/pause`);
+    return response.status === 204 ? { success: true } : response.data;
+  }
+
+  async listCampaignSubscribers(campaignId, params = {}, options = {}) {
+    const buildQuery = (page) => {
+      const queryParams = new URLSearchParams();
+      if (params.status) queryParams.append('status', params.status);
+      if (params.direction) queryParams.append('direction', params.direction);
+      queryParams.append('page', page);
+      queryParams.append('per_page', Math.min(params.per_page || 1000, 1000));
+      return queryParams.toString();
+    };
+
+    // An explicit page returns just that page
+    if (params.page) {
+      const response = await this.client.get(`/campaigns/${campaignId}/subscribers?${buildQuery(params.page)}`);
+      return response.data;
+    }
+
+    // Otherwise follow meta.total_pages so audits see everyone in the series
+    const fetchPage = async (page) => {
+      const response = await this.client.get(`/campaigns/${campaignId}/subscribers?${buildQuery(page)}`);
+      return response.data;
+    };
+    return this.collectPages(fetchPage, 'subscribers', { maxRecords: params.max_records, onProgress: options.onProgress });
+  }
+
+  async listSubscriberCampaignSubscriptions(subscriberId) {
+    const identifier = encodeURIComponent(subscriberId);
+    const response = await this.client.get(`/subscribers/${identifier}/campaign_subscriptions`);
+    return response.data;
+  }
+
   // === Batch Operations ===
 
-  async batchCreateSubscribers(subscribers) {
+  async batchCreateSubscribers(subscribers, options = {}) {
     if (!Array.isArray(subscribers) || subscribers.length === 0) {
-      throw new Error('Subscribers must be a non-empty array');
+      throw new DripValidationError('Subscribers must be a non-empty array');
     }
 
     // Validate all emails first
@@ -365,11 +768,7 @@ export class DripClient {
     });
 
     // Drip Batch API requires /subscribers/batches with wrapper
-    const batchSize = 1000;
-    const results = [];
-
-    for (let i = 0; i < validatedSubscribers.length; i += batchSize) {
-      const batch = validatedSubscribers.slice(i, i + batchSize);
+    const results = await this.sendInChunks(validatedSubscribers, async (batch, requestConfig) => {
       const payload = {
         batches: [
           {
@@ -377,71 +776,102 @@ export class DripClient {
           },
         ],
       };
-      const response = await this.client.post('/subscribers/batches', payload);
-      results.push(response.data);
-    }
+      const response = await this.client.post('/subscribers/batches', payload, requestConfig);
+      return response.data;
+    }, options);
 
     return results.length === 1 ? results[0] : results;
   }
 
-  async batchUnsubscribe(subscribers) {
+  async batchUnsubscribe(subscribers, options = {}) {
     if (!Array.isArray(subscribers) || subscribers.length === 0) {
-      throw new Error('Subscribers must be a non-empty array');
+      throw new DripValidationError('Subscribers must be a non-empty array');
     }
 
-    const payload = {
-      batches: [
-        {
-          subscribers: subscribers.map(sub => ({ email: sub.email || sub })),
-        },
-      ],
-    };
+    const results = await this.sendInChunks(subscribers, async (batch, requestConfig) => {
+      const payload = {
+        batches: [
+          {
+            subscribers: batch.map(sub => ({ email: sub.email || sub })),
+          },
+        ],
+      };
+      const response = await this.client.post('/unsubscribes/batches', payload, requestConfig);
+      return response.data;
+    }, options);
 
-    const response = await this.client.post('/unsubscribes/batches', payload);
-    return response.data;
+    return results.length === 1 ? results[0] : results;
   }
 
   // === Search Methods ===
 
-  async searchSubscribers(params = {}) {
-    // Note: The standard /subscribers endpoint has limited filtering
-    // For advanced search, you might need to fetch all and filter client-side
-    const queryParams = new URLSearchParams();
-    
-    // Standard pagination parameters
-    if (params.page) queryParams.append('page', params.page);
-    if (params.per_page) queryParams.append('per_page', Math.min(params.per_page || 100, 1000));
-    
-    // Status filter (active, unsubscribed, all)
-    if (params.status) queryParams.append('status', params.status);
-    
-    // Sort parameters
-    if (params.sort) queryParams.append('sort', params.sort);
-    if (params.direction) queryParams.append('direction', params.direction);
-
-    const response = await this.client.get(`/subscribers?${queryParams.toString()}`);
-    
-    // Client-side filtering for additional parameters
-    let subscribers = response.data.subscribers || [];
-    
-    // Filter by email (partial match)
-    if (params.email) {
-      subscribers = subscribers.filter(sub => 
-        sub.email.toLowerCase().includes(params.email.toLowerCase())
-      );
+  // Search subscribers. Filters Drip supports (status, tags, subscribed
+  // before/after) go into the request; the rest (email, all-tags, custom
+  // fields, lead score, created_at) are applied to each page as it streams
+  // in. Stops after `limit` matches or `max_scanned` records.
+  // options.onProgress reports records scanned after each page.
+  async searchSubscribers(params = {}, options = {}) {
+    const { query, matches, filters } = buildSubscriberSearch(params);
+    const limit = params.limit ?? 100;
+    const maxScanned = params.max_scanned ?? 10000;
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new DripValidationError('limit must be a positive integer');
     }
-    
-    // Filter by tags
-    if (params.tags && params.tags.length > 0) {
-      subscribers = subscribers.filter(sub => {
-        const subTags = sub.tags || [];
-        return params.tags.every(tag => subTags.includes(tag));
+    if (!Number.isInteger(maxScanned) || maxScanned < 1) {
+      throw new DripValidationError('max_scanned must be a positive integer');
+    }
+    const perPage = Math.min(params.per_page || 1000, 1000);
+
+    const fetchPage = async (page) => {
+      const pageQuery = new URLSearchParams(query);
+      pageQuery.append('page', page);
+      pageQuery.append('per_page', perPage);
+      const response = await this.client.get(`/subscribers?${pageQuery.toString()}`);
+      return response.data;
+    };
+
+    const startPage = params.page || 1;
+    const subscribers = [];
+    let scanned = 0;
+    let pagesFetched = 0;
+    let meta = {};
+    let stopReason = null;
+    for await (const data of this.pages(fetchPage, startPage)) {
+      pagesFetched++;
+      meta = data?.meta || {};
+      const records = data?.subscribers || [];
+      const lastPage = (meta.total_pages || 1) <= startPage + pagesFetched - 1;
+      for (let i = 0; i < records.length; i++) {
+        scanned++;
+        if (matches(records[i])) subscribers.push(records[i]);
+
+        // Nothing left to scan, so the search is complete regardless of caps
+        if (lastPage && i === records.length - 1) break;
+        if (subscribers.length >= limit) stopReason = 'limit';
+        else if (scanned >= maxScanned) stopReason = 'max_scanned';
+        if (stopReason) break;
+      }
+      options.onProgress?.({
+        done: scanned,
+        total: meta.total_count === undefined ? null : Math.min(meta.total_count, maxScanned),
+        chunk: pagesFetched,
+        chunks: meta.total_pages === undefined ? null : meta.total_pages - startPage + 1,
       });
+      if (stopReason) break;
     }
-    
+
     return {
-      ...response.data,
-      subscribers
+      subscribers,
+      meta: {
+        matched_count: subscribers.length,
+        scanned_count: scanned,
+        pages_fetched: pagesFetched,
+        // Subscribers matching the server-side filters
+        total_count: meta.total_count ?? scanned,
+        complete: stopReason === null,
+        stop_reason: stopReason,
+        filters,
+      },
     };
   }
 
@@ -590,6 +1020,77 @@ export class DripClient {
     return response.status === 204 ? { success: true } : response.data;
   }
 
+  async getWorkflow(workflowId) {
+    const response = await this.client.get(`/workflows/${workflowId}`);
+    return response.data;
+  }
+
+  // === Workflow Triggers ===
+
+  async listWorkflowTriggers(workflowId) {
+    const response = await this.client.get(`/workflows/${workflowId}/triggers`);
+    return response.data;
+  }
+
+  validateWorkflowTrigger(triggerData) {
+    if (!triggerData || typeof triggerData !== 'object') {
+      throw new DripValidationError('Trigger data must be an object');
+    }
+
+    if (!triggerData.provider || typeof triggerData.provider !== 'string' || triggerData.provider.trim() === '') {
+      throw new DripValidationError('Trigger provider is required and cannot be empty');
+    }
+
+    const triggerType = triggerData.trigger_type;
+    if (!triggerType || typeof triggerType !== 'string' || triggerType.trim() === '') {
+      throw new DripValidationError('Trigger trigger_type is required and cannot be empty');
+    }
+    // Drip trigger types are snake case identifiers (e.g. submitted_landing_page)
+    if (!/^[a-z][a-z0-9]*(_[a-z0-9]+)*$/.test(triggerType.trim())) {
+      throw new DripValidationError(`Trigger trigger_type must be a snake case identifier (e.g. submitted_landing_page): ${triggerType}`);
+    }
+
+    const trigger = {
+      provider: triggerData.provider.trim(),
+      trigger_type: triggerType.trim(),
+    };
+
+    if (triggerData.properties !== undefined) {
+      const { properties } = triggerData;
+      if (properties === null || typeof properties !== 'object' || Array.isArray(properties)) {
+        throw new DripValidationError('Trigger properties must be an object');
+      }
+      // Trigger properties are flat settings such as a tag, form or landing page name
+      const isScalar = (v) => ['string', 'number', 'boolean'].includes(typeof v);
+      for (const [key, value] of Object.entries(properties)) {
+        if (!(isScalar(value) || (Array.isArray(value) && value.every(isScalar)))) {
+          throw new DripValidationError(`Trigger property "${key}" must be a string, number, boolean or an array of those`);
+        }
+      }
+      trigger.properties = properties;
+    }
+
+    return trigger;
+  }
+
+  async createWorkflowTrigger(workflowId, triggerData) {
+    const payload = {
+      triggers: [this.validateWorkflowTrigger(triggerData)],
+    };
+
+    const response = await this.client.post(`/workflows/${workflowId}/triggers`, payload);
+    return response.data.triggers?.[0] || response.data;
+  }
+
+  async updateWorkflowTrigger(workflowId, triggerId, triggerData) {
+    const payload = {
+      triggers: [this.validateWorkflowTrigger(triggerData)],
+    };
+
+    const response = await this.client.put(`/workflows/${workflowId}/triggers/${encodeURIComponent(triggerId)}`, payload);
+    return response.data.triggers?.[0] || response.data;
+  }
+
   // === Forms ===
 
   async listForms(params = {}) {
@@ -632,7 +1133,21 @@ export class DripClient {
     const email = this.validateEmail(data.email);
     
     if (!data.action || typeof data.action !== 'string' || data.action.trim() === '') {
-      throw new Error('Conversion action is required and cannot be empty');
+      throw new DripValidationError('Conversion action is required and cannot be empty');
+    }
+    
+    // Optionally make sure the action names a configured goal, so a typo
+    // doesn't record a conversion that no goal ever tracks
+    if (data.check_goal) {
+      const goalNames = await this.getCatalog('goals');
+      const action = data.action.trim();
+      if (!goalNames.includes(action)) {
+        const similar = this.findNearMatches(action, goalNames);
+        const hint = similar.length > 0
+          ? ` Did you mean ${similar.map(n => `"${n}"`).join(' or ')}?`
+          : ` Known goals: ${goalNames.length > 0 ? goalNames.map(n => `"${n}"`).join(', ') : 'none'}.`;
+        throw new DripValidationError(`Conversion action "${action}" does not match any conversion goal.${hint}`);
+      }
     }
     
     // Validate date - conversions should be recent
@@ -657,6 +1172,24 @@ export class DripClient {
     return response.status === 204 ? { success: true } : response.data;
   }
 
+  async listConversions(params = {}) {
+    const queryParams = new URLSearchParams();
+
+    if (params.status) queryParams.append('status', params.status);
+    if (params.sort) queryParams.append('sort', params.sort);
+    if (params.direction) queryParams.append('direction', params.direction);
+    if (params.page) queryParams.append('page', params.page);
+    if (params.per_page) queryParams.append('per_page', params.per_page);
+
+    const response = await this.client.get(`/goals?${queryParams.toString()}`);
+    return response.data;
+  }
+
+  async getConversion(conversionId) {
+    const response = await this.client.get(`/goals/${conversionId}`);
+    return response.data.goals?.[0] || response.data;
+  }
+
   // === Purchases ===
 
   async recordPurchase(data) {
@@ -689,6 +1222,427 @@ export class DripClient {
     return response.status === 204 ? { success: true } : response.data;
   }
 
+  // === Shopper Activity ===
+
+  // Shopper Activity responds 202 Accepted with a request_id (request_ids
+  // for batches); the records themselves are processed asynchronously
+  async upsertShopperActivity(resource, payload) {
+    const response = await this.client.post(`${this.v3BaseUrl}/shopper_activity/${resource}`, payload);
+    return response.data;
+  }
+
+  // Validate every record before sending anything, then post them to the
+  // resource's batch endpoint (body key carts, orders or products) in chunks
+  async batchUpsertShopperActivity(resource, records, validate, options = {}) {
+    const key = `${resource}s`;
+    if (!Array.isArray(records) || records.length === 0) {
+      throw new DripValidationError(`${key[0].toUpperCase()}${key.slice(1)} must be a non-empty array`);
+    }
+
+    const validated = records.map(validate);
+
+    const results = await this.sendInChunks(validated, async (batch, requestConfig) => {
+      const response = await this.client.post(`${this.v3BaseUrl}/shopper_activity/${resource}/batch`, { [key]: batch }, requestConfig);
+      return response.data;
+    }, options);
+
+    return results.length === 1 ? results[0] : results;
+  }
+
+  // === Shopper Activity: Carts ===
+
+  validateCart(cartData) {
+    if (!cartData || typeof cartData !== 'object') {
+      throw new DripValidationError('Cart data must be an object');
+    }
+
+    const cartId = cartData.cart_id;
+    if (cartId === undefined || cartId === null || String(cartId).trim() === '') {
+      throw new DripValidationError('Cart cart_id is required and cannot be empty');
+    }
+
+    const provider = this.validateProvider(cartData.provider);
+
+    const validActions = ['created', 'updated'];
+    if (!validActions.includes(cartData.action)) {
+      throw new DripValidationError(`Cart action must be one of: ${validActions.join(', ')}`);
+    }
+
+    const cartUrl = this.validateUrl(cartData.cart_url, 'Cart cart_url');
+
+    const items = cartData.items === undefined ? [] : cartData.items;
+    if (!Array.isArray(items)) {
+      throw new DripValidationError('Cart items must be an array');
+    }
+    items.forEach((item, index) => {
+      if (!item || typeof item !== 'object') {
+        throw new DripValidationError(`Cart item ${index} must be an object`);
+      }
+      for (const field of ['product_id', 'product_variant_id', 'name']) {
+        if (item[field] === undefined || item[field] === null || String(item[field]).trim() === '') {
+          throw new DripValidationError(`Cart item ${index} is missing required field "${field}"`);
+        }
+      }
+      if (typeof item.price !== 'number' || item.price < 0) {
+        throw new DripValidationError(`Cart item ${index} price must be a non-negative number`);
+      }
+      if (item.quantity !== undefined && (!Number.isInteger(item.quantity) || item.quantity < 1)) {
+        throw new DripValidationError(`Cart item ${index} quantity must be a positive integer`);
+      }
+    });
+
+    const occurred_at = this.validateDate(cartData.occurred_at, {
+      maxPastDays: 365,
+      maxFutureDays: 1,
+      allowFuture: false,
+      fieldName: 'Cart occurred_at'
+    });
+
+    // Pass through optional and custom attributes untouched
+    const { email, person_id, ...rest } = cartData;
+    return {
+      ...rest,
+      ...this.validateShopperIdentity({ email, person_id }),
+      provider,
+      action: cartData.action,
+      cart_id: String(cartId),
+      cart_url: cartUrl,
+      occurred_at,
+      items,
+    };
+  }
+
+  async upsertCart(cartData) {
+    return this.upsertShopperActivity('cart', this.validateCart(cartData));
+  }
+
+  async batchUpsertCarts(carts, options = {}) {
+    return this.batchUpsertShopperActivity('cart', carts, cart => this.validateCart(cart), options);
+  }
+
+  // === Shopper Activity: Orders ===
+
+  validateOrder(orderData) {
+    if (!orderData || typeof orderData !== 'object') {
+      throw new DripValidationError('Order data must be an object');
+    }
+
+    const orderId = orderData.order_id;
+    if (orderId === undefined || orderId === null || String(orderId).trim() === '') {
+      throw new DripValidationError('Order order_id is required and cannot be empty');
+    }
+
+    const provider = this.validateProvider(orderData.provider);
+
+    const validActions = ['placed', 'updated', 'paid', 'fulfilled', 'refunded', 'canceled'];
+    if (!validActions.includes(orderData.action)) {
+      throw new DripValidationError(`Order action must be one of: ${validActions.join(', ')}`);
+    }
+
+    // Order-level money fields must be non-negative numbers when present
+    const moneyFields = ['grand_total', 'total_discounts', 'total_taxes', 'total_fees', 'total_shipping', 'refund_amount'];
+    for (const field of moneyFields) {
+      if (orderData[field] !== undefined && (typeof orderData[field] !== 'number' || orderData[field] < 0)) {
+        throw new DripValidationError(`Order ${field} must be a non-negative number`);
+      }
+    }
+
+    // Refunds adjust lifetime value through refund_amount, leaving grand_total unchanged
+    if (orderData.action === 'refunded' && orderData.refund_amount === undefined) {
+      throw new DripValidationError('Order refund_amount is required for refunded orders');
+    }
+    if (orderData.refund_amount !== undefined && orderData.grand_total !== undefined
+      && orderData.refund_amount > orderData.grand_total) {
+      throw new DripValidationError('Order refund_amount cannot exceed grand_total');
+    }
+
+    if (orderData.order_url !== undefined) {
+      this.validateUrl(orderData.order_url, 'Order order_url');
+    }
+
+    const items = orderData.items === undefined ? [] : orderData.items;
+    if (!Array.isArray(items)) {
+      throw new DripValidationError('Order items must be an array');
+    }
+    const itemMoneyFields = ['price', 'sale_price', 'discounts', 'taxes', 'fees', 'shipping', 'total'];
+    items.forEach((item, index) => {
+      if (!item || typeof item !== 'object') {
+        throw new DripValidationError(`Order item ${index} must be an object`);
+      }
+      if (!item.name || typeof item.name !== 'string' || item.name.trim() === '') {
+        throw new DripValidationError(`Order item ${index} is missing required field "name"`);
+      }
+      for (const field of itemMoneyFields) {
+        if (item[field] !== undefined && (typeof item[field] !== 'number' || item[field] < 0)) {
+          throw new DripValidationError(`Order item ${index} ${field} must be a non-negative number`);
+        }
+      }
+      if (item.quantity !== undefined && (!Number.isInteger(item.quantity) || item.quantity < 1)) {
+        throw new DripValidationError(`Order item ${index} quantity must be a positive integer`);
+      }
+    });
+
+    // Optionally reject orders whose line items don't add up to grand_total
+    if (orderData.check_totals) {
+      const mismatch = this.orderTotalMismatch(orderData);
+      if (mismatch) throw new DripValidationError(mismatch);
+    }
+
+    for (const field of ['billing_address', 'shipping_address']) {
+      if (orderData[field] !== undefined && (orderData[field] === null || typeof orderData[field] !== 'object' || Array.isArray(orderData[field]))) {
+        throw new DripValidationError(`Order ${field} must be an object`);
+      }
+    }
+
+    const occurred_at = this.validateDate(orderData.occurred_at, {
+      maxPastDays: 3650,    // Historical order imports are expected
+      maxFutureDays: 1,
+      allowFuture: false,
+      fieldName: 'Order occurred_at'
+    });
+
+    // Pass through optional and custom attributes untouched
+    const { email, person_id, check_totals, ...rest } = orderData;
+    return {
+      ...rest,
+      ...this.validateShopperIdentity({ email, person_id }),
+      provider,
+      action: orderData.action,
+      order_id: String(orderId),
+      occurred_at,
+      items,
+    };
+  }
+
+  // Line-item totals plus order-level taxes, fees and shipping, less order
+  // discounts, should come to grand_total. Returns a description of the gap,
+  // or null when the totals agree or the order lacks the amounts to compare.
+  // Compared in cents to avoid float drift.
+  orderTotalMismatch(orderData) {
+    const items = Array.isArray(orderData?.items) ? orderData.items : [];
+    if (typeof orderData?.grand_total !== 'number' || items.length === 0
+      || !items.every(item => typeof item?.total === 'number')) {
+      return null;
+    }
+    const cents = (amount) => Math.round((amount || 0) * 100);
+    const expected = items.reduce((sum, item) => sum + cents(item.total), 0)
+      + cents(orderData.total_taxes) + cents(orderData.total_fees) + cents(orderData.total_shipping)
+      - cents(orderData.total_discounts);
+    const grandTotal = cents(orderData.grand_total);
+    if (Math.abs(expected - grandTotal) <= ORDER_TOTAL_TOLERANCE_CENTS) return null;
+    return `Order ${orderData.order_id} line-item totals plus taxes, fees and shipping, less discounts, `
+      + `come to ${(expected / 100).toFixed(2)} but grand_total is ${(grandTotal / 100).toFixed(2)}`;
+  }
+
+  async upsertOrder(orderData) {
+    return this.upsertShopperActivity('order', this.validateOrder(orderData));
+  }
+
+  async batchUpsertOrders(orders, options = {}) {
+    return this.batchUpsertShopperActivity('order', orders, order => this.validateOrder(order), options);
+  }
+
+  // === Shopper Activity: Products ===
+
+  validateProduct(productData) {
+    if (!productData || typeof productData !== 'object') {
+      throw new DripValidationError('Product data must be an object');
+    }
+
+    const productId = productData.product_id;
+    if (productId === undefined || productId === null || String(productId).trim() === '') {
+      throw new DripValidationError('Product product_id is required and cannot be empty');
+    }
+
+    const provider = this.validateProvider(productData.provider);
+
+    const validActions = ['created', 'updated', 'deleted'];
+    if (!validActions.includes(productData.action)) {
+      throw new DripValidationError(`Product action must be one of: ${validActions.join(', ')}`);
+    }
+
+    if (!productData.name || typeof productData.name !== 'string' || productData.name.trim() === '') {
+      throw new DripValidationError('Product name is required and cannot be empty');
+    }
+
+    if (typeof productData.price !== 'number' || isNaN(productData.price) || productData.price < 0) {
+      throw new DripValidationError('Product price must be a non-negative number');
+    }
+
+    if (productData.inventory !== undefined && (!Number.isInteger(productData.inventory) || productData.inventory < 0)) {
+      throw new DripValidationError('Product inventory must be a non-negative integer');
+    }
+
+    if (productData.sku !== undefined && (typeof productData.sku !== 'string' || productData.sku.trim() === '')) {
+      throw new DripValidationError('Product sku must be a non-empty string');
+    }
+
+    if (productData.categories !== undefined) {
+      if (!Array.isArray(productData.categories) || productData.categories.some(c => typeof c !== 'string')) {
+        throw new DripValidationError('Product categories must be an array of strings');
+      }
+    }
+
+    if (productData.product_url !== undefined) {
+      this.validateUrl(productData.product_url, 'Product product_url');
+    }
+    if (productData.image_url !== undefined) {
+      this.validateUrl(productData.image_url, 'Product image_url');
+    }
+
+    const occurred_at = this.validateDate(productData.occurred_at, {
+      maxPastDays: 3650,
+      maxFutureDays: 1,
+      allowFuture: false,
+      fieldName: 'Product occurred_at'
+    });
+
+    // Products without variants repeat the product_id as the variant ID (per Drip docs)
+    const variantId = productData.product_variant_id;
+    const hasVariant = variantId !== undefined && variantId !== null && String(variantId).trim() !== '';
+
+    return {
+      ...productData,
+      provider,
+      action: productData.action,
+      product_id: String(productId),
+      product_variant_id: hasVariant ? String(variantId) : String(productId),
+      name: productData.name.trim(),
+      occurred_at,
+    };
+  }
+
+  async upsertProduct(productData) {
+    return this.upsertShopperActivity('product', this.validateProduct(productData));
+  }
+
+  async batchUpsertProducts(products, options = {}) {
+    return this.batchUpsertShopperActivity('product', products, product => this.validateProduct(product), options);
+  }
+
+  async syncProductCatalog(products, options = {}) {
+    // Unlike batchUpsertProducts, a catalog sync keeps going past bad rows
+    // and reports per-row failures instead of rejecting the whole feed
+    if (!Array.isArray(products) || products.length === 0) {
+      throw new DripValidationError('Products must be a non-empty array');
+    }
+
+    // Drip accepts batches asynchronously and only returns request IDs, so
+    // rows are counted by the action submitted, not by what Drip did with them
+    const summary = { total: products.length, submitted_create: 0, submitted_update: 0, submitted_delete: 0, failed: 0, errors: [], request_ids: [] };
+    const valid = [];
+
+    products.forEach((product, index) => {
+      try {
+        const withDefaults = {
+          ...product,
+          provider: product.provider || options.provider,
+          action: product.action || options.action || 'updated',
+        };
+        valid.push({ index, product: this.validateProduct(withDefaults) });
+      } catch (error) {
+        summary.failed++;
+        summary.errors.push({ row: index, product_id: product?.product_id ?? null, error: error.message });
+      }
+    });
+
+    try {
+      await this.sendInChunks(valid, async (batch, requestConfig) => {
+        try {
+          // Chunk details (see dryRun) also refer to feed rows
+          const records = [batch[0].index, batch[batch.length - 1].index];
+          const response = await this.client.post(`${this.v3BaseUrl}/shopper_activity/product/batch`, {
+            products: batch.map(entry => entry.product),
+          }, { ...requestConfig, chunkInfo: { ...requestConfig.chunkInfo, records } });
+          for (const entry of batch) {
+            summary[SUBMITTED_COUNTS[entry.product.action]]++;
+          }
+          if (Array.isArray(response.data?.request_ids)) {
+            summary.request_ids.push(...response.data.request_ids);
+          }
+        } catch (error) {
+          if (error instanceof DripCancelledError) throw error;
+          summary.failed += batch.length;
+          summary.errors.push({ rows: [batch[0].index, batch[batch.length - 1].index], error: error.message });
+        }
+      }, options);
+    } catch (error) {
+      // Report committed chunks by feed row rather than position among the valid rows
+      if (error instanceof DripCancelledError) {
+        for (const entry of error.committedChunks) {
+          entry.records = entry.records.map(position => valid[position].index);
+        }
+      }
+      throw error;
+    }
+
+    return summary;
+  }
+
+  // === Tags & Event Actions ===
+
+  async listTags() {
+    const response = await this.client.get('/tags');
+    return response.data;
+  }
+
+  async listEventActions(params = {}) {
+    const queryParams = new URLSearchParams();
+
+    if (params.page) queryParams.append('page', params.page);
+    if (params.per_page) queryParams.append('per_page', Math.min(params.per_page, 1000));
+
+    const response = await this.client.get(`/event_actions?${queryParams.toString()}`);
+    return response.data;
+  }
+
+  async getCatalog(kind) {
+    const cached = this.catalogCache.get(kind);
+    if (cached && Date.now() - cached.fetchedAt < this.catalogTtl) {
+      return cached.names;
+    }
+
+    let names = [];
+    if (kind === 'tags') {
+      names = (await this.listTags()).tags || [];
+    } else if (kind === 'event_actions') {
+      for await (const action of this.paginate('listEventActions')) {
+        names.push(action);
+      }
+    } else if (kind === 'goals') {
+      for await (const goal of this.paginate('listConversions', { status: 'all' })) {
+        names.push(goal.name);
+      }
+    } else {
+      throw new Error(`Unknown catalog: ${kind}`);
+    }
+
+    this.catalogCache.set(kind, { names, fetchedAt: Date.now() });
+    return names;
+  }
+
+  rememberCatalogNames(kind, names) {
+    // Keep a cached catalog current so a name just created isn't flagged later
+    const cached = this.catalogCache.get(kind);
+    if (!cached) return;
+    for (const name of names) {
+      if (!cached.names.includes(name)) cached.names.push(name);
+    }
+  }
+
+  async findSimilarTags(tags) {
+    const existing = await this.getCatalog('tags');
+    return this.validateTags(tags)
+      .map(tag => ({ name: tag, similar: this.findNearMatches(tag, existing) }))
+      .filter(warning => warning.similar.length > 0);
+  }
+
+  async findSimilarEventActions(action) {
+    const existing = await this.getCatalog('event_actions');
+    const similar = this.findNearMatches(String(action).trim(), existing);
+    return similar.length > 0 ? [{ name: String(action).trim(), similar }] : [];
+  }
+
   // === Helper Methods ===
 
   formatSubscriberData(data) {
@@ -724,7 +1678,7 @@ export class DripClient {
       const validatedFields = {};
       for (const [key, value] of Object.entries(customFields)) {
         if (typeof value === 'string' && value.length > 5000) {
-          throw new Error(`Custom field "${key}" is too long (max 5000 characters)`);
+          throw new DripValidationError(`Custom field "${key}" is too long (max 5000 characters)`);
         }
         validatedFields[key] = value;
       }
@@ -737,7 +1691,7 @@ export class DripClient {
     if (data.prospect !== undefined) formatted.prospect = data.prospect;
     if (data.base_lead_score !== undefined) {
       if (typeof data.base_lead_score === 'number' && data.base_lead_score < 0) {
-        throw new Error('Base lead score cannot be negative');
+        throw new DripValidationError('Base lead score cannot be negative');
       }
       formatted.base_lead_score = data.base_lead_score;
     }
@@ -750,23 +1704,108 @@ export class DripClient {
     return formatted;
   }
 
+  // === Webhooks ===
+
+  async listWebhooks() {
+    const response = await this.client.get('/webhooks');
+    return response.data;
+  }
+
+  async getWebhook(webhookId) {
+    const response = await this.client.get(`/webhooks/${encodeURIComponent(webhookId)}`);
+    return response.data.webhooks?.[0] || response.data;
+  }
+
+  validateWebhookEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new DripValidationError('Webhook events must be a non-empty array');
+    }
+    const invalid = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (invalid.length > 0) {
+      throw new DripValidationError(`Invalid webhook event(s): ${invalid.join(', ')}. Valid events: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    return [...new Set(events)];
+  }
+
+  async createWebhook(data) {
+    const webhook = {
+      post_url: this.validateUrl(data.post_url, 'Webhook post_url'),
+    };
+
+    // Omitting events subscribes to everything except subscriber.received_email
+    if (data.events !== undefined) {
+      webhook.events = this.validateWebhookEvents(data.events);
+    }
+    if (data.include_received_email !== undefined) {
+      if (typeof data.include_received_email !== 'boolean') {
+        throw new DripValidationError('Webhook include_received_email must be a boolean');
+      }
+      webhook.include_received_email = data.include_received_email;
+    }
+
+    const response = await this.client.post('/webhooks', { webhooks: [webhook] });
+    return response.data.webhooks?.[0] || response.data;
+  }
+
+  async deleteWebhook(webhookId) {
+    const response = await this.client.delete(`/webhooks/${encodeURIComponent(webhookId)}`);
+    return response.status === 204 ? { success: true } : response.data;
+  }
+
+  findNearMatches(name, candidates) {
+    // A name that already exists exactly is never a near match
+    if (candidates.includes(name)) {
+      return [];
+    }
+
+    const normalize = (value) => String(value).toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+    const target = normalize(name);
+    // Allow one edit for short names, two for longer ones
+    const maxDistance = target.length <= 4 ? 1 : 2;
+
+    return candidates.filter(candidate => {
+      const other = normalize(candidate);
+      if (other === target) return true;
+      if (Math.abs(other.length - target.length) > maxDistance) return false;
+      return this.editDistance(target, other) <= maxDistance;
+    });
+  }
+
+  editDistance(a, b) {
+    // Levenshtein distance with a single rolling row
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let prev = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(
+          row[j] + 1,
+          row[j - 1] + 1,
+          prev + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        prev = current;
+      }
+    }
+    return row[b.length];
+  }
+
   // === Account Information ===
 
+  // All accounts the credentials can access. Absolute URL so the request
+  // shares the client's auth and error handling.
+  async listAccounts() {
+    const response = await this.client.get('https://api.getdrip.com/v2/accounts');
+    return response.data;
+  }
+
+  getRateLimitStatus() {
+    return this.rateLimiter.status();
+  }
+
   async getAccount() {
     // The /accounts endpoint lists all accounts; filter to configured account
-    const accountsUrl = `https://api.getdrip.com/v2/accounts`;
-    const response = await (this.axiosModule || axios).get(accountsUrl, {
-      auth: {
-        username: this.apiKey,
-        password: ''
-      },
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        'User-Agent': 'MonoKit MCP Server (https://github.com/monokit)'
-      }
-    });
-    const data = response.data;
+    const data = await this.listAccounts();
     if (data && Array.isArray(data.accounts)) {
       const match = data.accounts.find(a => String(a.id) === String(this.accountId));
       return match ? { account: match } : data;
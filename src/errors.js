@@ -0,0 +1,122 @@
+// Error raised for non-2xx Drip API responses. Keeps the pieces of Drip's
+// error payload that callers need to react differently to validation
+// failures, bad credentials, missing resources and refused transitions.
+export class DripApiError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'DripApiError';
+    this.status = details.status ?? null;
+    this.code = details.code ?? null;
+    this.fieldErrors = details.fieldErrors || [];
+    this.method = details.method ?? null;
+    this.path = details.path ?? null;
+  }
+
+  // Broad failure category derived from the status and Drip error code
+  get type() {
+    if (this.status === 401) return 'authentication';
+    if (this.status === 403) {
+      // Transition endpoints answer 403 with a state-specific code
+      return this.code === 'authorization_error' || !this.code ? 'authorization' : 'transition';
+    }
+    if (this.status === 404) return 'not_found';
+    if (this.status === 422) return 'validation';
+    if (this.status === 429) return 'rate_limit';
+    if (this.status >= 500) return 'server';
+    return 'request';
+  }
+
+  toJSON() {
+    return {
+      type: this.type,
+      message: this.message,
+      status: this.status,
+      code: this.code,
+      field_errors: this.fieldErrors,
+      method: this.method,
+      path: this.path,
+    };
+  }
+}
+
+// Raised for arguments rejected before anything is sent to Drip (invalid
+// emails, dates, order data, unknown tools, ...). Any other error without a
+// code is a bug in this server rather than a problem with the request.
+export class DripValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DripValidationError';
+  }
+}
+
+// Raised when a call's AbortSignal fires (e.g. the MCP client cancelled the
+// tool call). Batch methods fill in the chunks Drip had already accepted,
+// since those are not rolled back, and the chunk whose request was in
+// flight, if any, whose outcome is unknown.
+export class DripCancelledError extends Error {
+  constructor(message = 'Request cancelled', details = {}) {
+    super(message);
+    this.name = 'DripCancelledError';
+    this.totalChunks = details.totalChunks ?? null;
+    this.committedChunks = details.committedChunks || []; // [{ chunk, records: [first, last] }]
+    this.inFlightChunk = details.inFlightChunk ?? null;
+    this.results = details.results || [];
+    this.requestSent = details.requestSent ?? false; // a request had already gone out
+  }
+
+  toJSON() {
+    const body = { type: 'cancelled', message: this.message };
+    if (this.totalChunks !== null) {
+      body.total_chunks = this.totalChunks;
+      body.committed_chunks = this.committedChunks;
+      body.in_flight_chunk = this.inFlightChunk;
+    }
+    return body;
+  }
+}
+
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) throw new DripCancelledError();
+}
+
+// Normalise Drip's error payloads into [{ attribute, code, message }]. Drip
+// normally sends { errors: [...] }; older endpoints send { errors: { field: [...] } }.
+export function parseErrorPayload(data) {
+  if (!data || !data.errors) return [];
+  if (Array.isArray(data.errors)) {
+    return data.errors.map(e => (typeof e === 'object' && e !== null
+      ? { attribute: e.attribute ?? null, code: e.code ?? null, message: e.message ?? null }
+      : { attribute: null, code: null, message: String(e) }));
+  }
+  if (typeof data.errors === 'object') {
+    return Object.entries(data.errors).flatMap(([attribute, messages]) =>
+      [].concat(messages).map(message => ({ attribute, code: null, message: String(message) })));
+  }
+  return [{ attribute: null, code: null, message: String(data.errors) }];
+}
+
+// Socket and DNS failures (and axios' own codes for them) that mean a request
+// never got a response
+const NETWORK_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN',
+  'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'ERR_NETWORK',
+];
+
+// Plain object describing any error thrown while running a tool. Errors that
+// never reached Drip are network failures, rejected arguments (local
+// validation, unknown tools), other local failures such as an unreadable
+// feed file, or internal errors.
+export function describeError(error) {
+  if (error instanceof DripApiError || error instanceof DripCancelledError) {
+    return error.toJSON();
+  }
+  let type = 'internal_error';
+  if (error instanceof DripValidationError) type = 'invalid_request';
+  else if (NETWORK_CODES.includes(error.code)) type = 'network';
+  else if (error.code) type = 'error';
+  return {
+    type,
+    message: error.message,
+    code: error.code ?? null,
+  };
+}
@@ -0,0 +1,72 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import fs from 'fs';
+
+// read: tools that only fetch data; write: tools that create or change
+// records; destructive: deletes and unsubscribes. Scopes do not imply each
+// other, so a token that may delete subscribers lists all three.
+export const SCOPES = ['read', 'write', 'destructive'];
+
+function sha256(value) {
+  return createHash('sha256').update(value, 'utf8').digest();
+}
+
+// Parse a token file:
+//   { "tokens": [ { "name": "marketing", "token": "...", "scopes": ["read", "write"] } ] }
+// Each entry gives either the token itself or its hex SHA-256 as "token_sha256",
+// so the file need not hold usable secrets.
+export function parseTokenFile(data) {
+  const entries = Array.isArray(data) ? data : data?.tokens;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('Token file must list at least one token under "tokens"');
+  }
+
+  return entries.map((entry, index) => {
+    const label = entry?.name || `#${index + 1}`;
+    if (!entry || typeof entry.name !== 'string' || entry.name.trim() === '') {
+      throw new Error(`Token ${label} needs a name`);
+    }
+    let digest;
+    if (typeof entry.token === 'string' && entry.token.length > 0) {
+      digest = sha256(entry.token);
+    } else if (typeof entry.token_sha256 === 'string' && /^[0-9a-f]{64}$/i.test(entry.token_sha256)) {
+      digest = Buffer.from(entry.token_sha256, 'hex');
+    } else {
+      throw new Error(`Token ${label} needs a "token" or a hex "token_sha256"`);
+    }
+    const scopes = entry.scopes;
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+      throw new Error(`Token ${label} has invalid scopes. Use one or more of: ${SCOPES.join(', ')}`);
+    }
+    return { name: entry.name, digest, scopes: [...new Set(scopes)] };
+  });
+}
+
+// Checks Authorization: Bearer headers against the configured tokens
+export class TokenAuthenticator {
+  constructor(tokens) {
+    this.tokens = tokens;
+  }
+
+  static fromFile(filePath) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read token file ${filePath}: ${error.message}`);
+    }
+    return new TokenAuthenticator(parseTokenFile(data));
+  }
+
+  // MCP AuthInfo for a valid bearer token, otherwise null
+  authenticate(authorization) {
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(authorization || '');
+    if (!match) return null;
+    const digest = sha256(match[1]);
+    // Compare against every entry so timing does not reveal which one matched
+    let found = null;
+    for (const token of this.tokens) {
+      if (timingSafeEqual(digest, token.digest) && !found) found = token;
+    }
+    return found ? { token: match[1], clientId: found.name, scopes: found.scopes } : null;
+  }
+}
@@ -0,0 +1,308 @@
+import { randomUUID } from 'crypto';
+import http from 'http';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+// Batch tool calls carry up to 1,000 records
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+// Streamable HTTP sessions with no requests for this long are closed
+const DEFAULT_SESSION_IDLE_MS = 30 * 60 * 1000;
+
+const TRANSPORTS = ['stdio', 'http'];
+
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+function list(value) {
+  return value ? value.split(',').map(entry => entry.trim()).filter(Boolean) : [];
+}
+
+// Hostname of a Host header ("localhost:3000", "[::1]:3000") or an Origin
+// ("http://localhost:3000"), or null when it cannot be parsed
+function hostnameOf(value) {
+  try {
+    return new URL(value.includes('://') ? value : `http://${value}`).hostname.replace(/^\[|\]$/g, '');
+  } catch {
+    return null;
+  }
+}
+
+// Transport settings from CLI flags (--transport http, --http, --host,
+// --port, --token-file), falling back to DRIP_MCP_TRANSPORT / DRIP_MCP_HOST /
+// DRIP_MCP_PORT / DRIP_MCP_TOKEN_FILE. DRIP_MCP_ALLOWED_HOSTS and
+// DRIP_MCP_ALLOWED_ORIGINS (comma-separated) extend the Host and Origin
+// headers the server accepts.
+export function resolveTransportOptions(argv = [], env = {}) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split('=', 2);
+    if (flag === '--http') {
+      flags.transport = 'http';
+    } else if (['--transport', '--host', '--port', '--token-file'].includes(flag)) {
+      flags[flag.slice(2)] = inline ?? argv[++i];
+    }
+  }
+
+  const transport = (flags.transport || env.DRIP_MCP_TRANSPORT || 'stdio').toLowerCase();
+  if (!TRANSPORTS.includes(transport)) {
+    throw new Error(`Invalid transport "${transport}". Must be one of: ${TRANSPORTS.join(', ')}`);
+  }
+  const port = Number(flags.port ?? env.DRIP_MCP_PORT ?? 3000);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port: ${flags.port ?? env.DRIP_MCP_PORT}`);
+  }
+
+  return {
+    transport,
+    host: flags.host || env.DRIP_MCP_HOST || '127.0.0.1',
+    port,
+    tokenFile: flags['token-file'] || env.DRIP_MCP_TOKEN_FILE || null,
+    allowedHosts: list(env.DRIP_MCP_ALLOWED_HOSTS),
+    allowedOrigins: list(env.DRIP_MCP_ALLOWED_ORIGINS),
+    shutdownTimeoutMs: Number(env.DRIP_MCP_SHUTDOWN_TIMEOUT_MS || 30000),
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(Object.assign(new Error('Body must be valid JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Hosts MCP sessions over HTTP for several clients at once:
+//   /mcp       Streamable HTTP (POST requests, GET notification stream, DELETE to end the session)
+//   /sse       legacy HTTP+SSE stream, with client messages POSTed to /messages?sessionId=...
+// Every session gets its own protocol server from createServer; they share
+// the Drip clients and rate limiter behind it. With an authenticator, every
+// request needs a bearer token and a session only accepts the token's client
+// that opened it.
+//
+// Against DNS rebinding, requests whose Host is not one of allowedHosts, or
+// that come from a web page (Origin) on another host, are refused with 403.
+// On loopback the loopback names are always allowed; on other interfaces
+// Host is only checked when allowedHosts is set.
+export class McpHttpServer {
+  constructor(createServer, options = {}) {
+    this.createServer = createServer;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port ?? 3000;
+    this.path = options.path || '/mcp';
+    this.ssePath = options.ssePath || '/sse';
+    this.messagesPath = options.messagesPath || '/messages';
+    this.sessionIdleMs = options.sessionIdleMs ?? DEFAULT_SESSION_IDLE_MS;
+    this.now = options.now || Date.now;
+    this.authenticator = options.authenticator || null;
+    const loopback = LOOPBACK_HOSTS.includes(this.host);
+    this.allowedHosts = [...(loopback ? LOOPBACK_HOSTS : []), ...(options.allowedHosts || [])];
+    this.allowedOrigins = options.allowedOrigins || [];
+
+    this.sessions = new Map(); // session ID -> { type, transport, server, clientId, lastSeen, openStreams }
+    this.pending = new Set();  // POST requests whose response has not finished
+    this.closing = false;
+    this.httpServer = null;
+    this.sweeper = null;
+  }
+
+  start() {
+    this.httpServer = http.createServer((req, res) => this.handleRequest(req, res));
+    this.sweeper = setInterval(() => this.closeIdleSessions(), Math.min(this.sessionIdleMs, 60 * 1000));
+    this.sweeper.unref();
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.off('error', reject);
+        resolve(this.httpServer.address());
+      });
+    });
+  }
+
+  // Stop accepting requests, let in-flight ones finish (drain resolves once
+  // the Drip calls behind them are done), then close every session
+  async stop(drain = async () => {}) {
+    if (!this.httpServer) return;
+    this.closing = true;
+    clearInterval(this.sweeper);
+    const httpServer = this.httpServer;
+    const closed = new Promise((resolve) => httpServer.close(() => resolve()));
+    httpServer.closeIdleConnections();
+
+    await drain();
+    await Promise.allSettled([...this.pending]);
+
+    for (const id of [...this.sessions.keys()]) {
+      await this.closeSession(id);
+    }
+    httpServer.closeAllConnections();
+    await closed;
+    this.httpServer = null;
+  }
+
+  respond(res, status, message, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (this.closing) {
+      return this.respond(res, 503, 'Server is shutting down', { Connection: 'close' });
+    }
+
+    const forbidden = this.checkHostAndOrigin(req.headers);
+    if (forbidden) {
+      return this.respond(res, 403, forbidden);
+    }
+
+    // The transports hand req.auth to request handlers as extra.authInfo
+    if (this.authenticator) {
+      req.auth = this.authenticator.authenticate(req.headers.authorization);
+      if (!req.auth) {
+        return this.respond(res, 401, 'Missing or invalid bearer token', { 'WWW-Authenticate': 'Bearer realm="drip-mcp"' });
+      }
+    }
+
+    if (req.method === 'POST') {
+      const done = new Promise(resolve => res.once('close', resolve));
+      this.pending.add(done);
+      done.then(() => this.pending.delete(done));
+    }
+
+    try {
+      if (url.pathname === this.path) {
+        await this.handleStreamable(req, res);
+      } else if (url.pathname === this.ssePath && req.method === 'GET') {
+        await this.openSseSession(req, res);
+      } else if (url.pathname === this.messagesPath && req.method === 'POST') {
+        await this.handleSseMessage(req, res, url.searchParams.get('sessionId'));
+      } else {
+        this.respond(res, 404, 'Not found');
+      }
+    } catch (error) {
+      if (!res.headersSent) {
+        this.respond(res, error.status || 500, error.status ? error.message : 'Internal server error');
+      }
+      if (!error.status) console.error('MCP HTTP request failed:', error);
+    }
+  }
+
+  // Why the Host or Origin header is not acceptable, or null
+  checkHostAndOrigin(headers) {
+    const host = hostnameOf(headers.host || '');
+    if (this.allowedHosts.length > 0 && !this.allowedHosts.includes(host)) {
+      return `Host not allowed: ${headers.host}`;
+    }
+    const origin = headers.origin;
+    if (origin === undefined || this.allowedOrigins.includes(origin)) return null;
+    const originHost = hostnameOf(origin);
+    const sameHost = this.allowedHosts.length > 0 ? this.allowedHosts.includes(originHost) : originHost === host;
+    return sameHost ? null : `Origin not allowed: ${origin}`;
+  }
+
+  async handleStreamable(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await readBody(req) : undefined;
+
+    if (sessionId) {
+      const session = this.sessions.get(sessionId);
+      if (!session || session.type !== 'streamable') {
+        return this.respond(res, 404, 'Session not found');
+      }
+      if (session.clientId !== (req.auth?.clientId ?? null)) {
+        return this.respond(res, 403, 'Session belongs to another client');
+      }
+      session.lastSeen = this.now();
+      if (req.method === 'GET') {
+        // An open notification stream keeps the session alive; idle time
+        // counts from when it closes
+        session.openStreams++;
+        res.once('close', () => {
+          session.openStreams--;
+          session.lastSeen = this.now();
+        });
+      }
+      return session.transport.handleRequest(req, res, body);
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      return this.respond(res, 400, 'Bad request: missing Mcp-Session-Id header');
+    }
+
+    const server = this.createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        this.sessions.set(id, { type: 'streamable', transport, server, clientId: req.auth?.clientId ?? null, lastSeen: this.now(), openStreams: 0 });
+      },
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) this.sessions.delete(transport.sessionId);
+    };
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  async openSseSession(req, res) {
+    const server = this.createServer();
+    const transport = new SSEServerTransport(this.messagesPath, res);
+    this.sessions.set(transport.sessionId, { type: 'sse', transport, server, clientId: req.auth?.clientId ?? null, lastSeen: this.now() });
+    transport.onclose = () => this.sessions.delete(transport.sessionId);
+    // connect() starts the transport, which opens the event stream
+    await server.connect(transport);
+  }
+
+  async handleSseMessage(req, res, sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.type !== 'sse') {
+      return this.respond(res, 404, 'Session not found');
+    }
+    if (session.clientId !== (req.auth?.clientId ?? null)) {
+      return this.respond(res, 403, 'Session belongs to another client');
+    }
+    const body = await readBody(req);
+    session.lastSeen = this.now();
+    await session.transport.handlePostMessage(req, res, body);
+  }
+
+  async closeSession(id) {
+    const session = this.sessions.get(id);
+    if (!session) return;
+    this.sessions.delete(id);
+    try {
+      await session.server.close();
+    } catch (error) {
+      console.error(`Failed to close MCP session ${id}:`, error.message);
+    }
+  }
+
+  // SSE sessions end when their stream closes; Streamable HTTP clients may
+  // disappear without sending DELETE. A session with an open GET stream is
+  // still in use even if it has not POSTed for a while.
+  async closeIdleSessions() {
+    const cutoff = this.now() - this.sessionIdleMs;
+    for (const [id, session] of this.sessions) {
+      if (session.type === 'streamable' && session.openStreams === 0 && session.lastSeen < cutoff) {
+        await this.closeSession(id);
+      }
+    }
+  }
+}
@@ -4,12 +4,33 @@ import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
   CallToolRequestSchema,
+  ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  McpError,
+  ReadResourceRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
+import { AsyncLocalStorage } from 'async_hooks';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { DripClient } from './drip-client.js';
+import { DripClient, WEBHOOK_EVENTS } from './drip-client.js';
+import { loadProductFeed } from './product-feed.js';
+import { CUSTOM_FIELD_OPERATORS } from './subscriber-search.js';
+import { DripCancelledError, DripValidationError, describeError } from './errors.js';
+import { resolveCredentials } from './oauth.js';
+import { TokenAuthenticator } from './http-auth.js';
+import { McpHttpServer, resolveTransportOptions } from './http-server.js';
+import { getPrompt, listPrompts } from './prompts.js';
+import { RateLimiter } from './rate-limiter.js';
+import { toolDisabledReason, toolFilterFromEnv } from './tool-filter.js';
+import { withOutputSchemas } from './output-schemas.js';
+import { listResources, readResource, resourceTemplates } from './resources.js';
+import { retryPolicyFromEnv } from './retry.js';
+import { WebhookEventStore, WebhookReceiver } from './webhook-receiver.js';
 
 // Get the directory name
 const __filename = fileURLToPath(import.meta.url);
@@ -18,9 +39,275 @@ const __dirname = path.dirname(__filename);
 // Load environment variables from root MonoKit directory
 dotenv.config({ path: path.resolve(__dirname, '../../../.env') });
 
+// Arguments shared by the list tools that can follow every page
+const FETCH_ALL_PROPERTIES = {
+  fetch_all: {
+    type: 'boolean',
+    description: 'Follow every page and return all records in one response (default: false, one page)',
+  },
+  max_records: {
+    type: 'number',
+    description: 'With fetch_all, stop after this many records (default 10000). meta.truncated reports whether more remain',
+  },
+};
+
+// Clients cached for account_id calls (see clientForAccount)
+const MAX_ACCOUNT_CLIENTS = 50;
+
+// Tools that do not act on a particular Drip account
+const ACCOUNT_INDEPENDENT_TOOLS = ['drip_list_accounts', 'drip_list_webhook_events', 'drip_rate_limit_status'];
+
+// Tools that only read data (scope "read") and tools that delete records or
+// unsubscribe people (scope "destructive"); every other tool needs "write".
+// See http-auth.js for the token file.
+const READ_TOOLS = [
+  'drip_list_subscribers', 'drip_get_subscriber', 'drip_search_subscribers', 'drip_list_tags',
+  'drip_list_event_actions', 'drip_list_campaigns', 'drip_get_campaign', 'drip_list_campaign_subscribers',
+  'drip_list_campaign_subscriptions', 'drip_recent_unsubscribes', 'drip_unsubscribe_stats',
+  'drip_list_workflows', 'drip_get_workflow', 'drip_list_workflow_triggers', 'drip_list_forms', 'drip_get_form',
+  'drip_list_broadcasts', 'drip_get_broadcast', 'drip_list_conversions', 'drip_get_conversion',
+  'drip_list_webhooks', 'drip_get_webhook', 'drip_list_webhook_events', 'drip_rate_limit_status',
+  'drip_list_accounts', 'drip_get_account', 'drip_list_custom_fields',
+];
+const DESTRUCTIVE_TOOLS = ['drip_delete_subscriber', 'drip_unsubscribe', 'drip_batch_unsubscribe', 'drip_delete_webhook'];
+
+function toolScope(name) {
+  if (READ_TOOLS.includes(name)) return 'read';
+  if (DESTRUCTIVE_TOOLS.includes(name)) return 'destructive';
+  return 'write';
+}
+
+// Writes that leave Drip in the same state when repeated with the same
+// arguments. Events, purchases, conversions and orders are recorded again,
+// and starting a workflow or subscribing to a campaign can restart it.
+const IDEMPOTENT_WRITE_TOOLS = [
+  'drip_create_subscriber', 'drip_delete_subscriber', 'drip_unsubscribe', 'drip_tag_subscriber', 'drip_remove_tag',
+  'drip_activate_campaign', 'drip_pause_campaign', 'drip_batch_create_subscribers', 'drip_batch_unsubscribe',
+  'drip_activate_workflow', 'drip_pause_workflow', 'drip_remove_from_workflow', 'drip_update_workflow_trigger',
+  'drip_upsert_cart', 'drip_batch_upsert_carts', 'drip_upsert_product', 'drip_batch_upsert_products',
+  'drip_sync_product_feed', 'drip_delete_webhook',
+];
+
+// Tools answered from this server's own state instead of the Drip API
+const LOCAL_TOOLS = ['drip_list_webhook_events', 'drip_rate_limit_status'];
+
+// MCP tool annotations, so clients can tell reads from writes and ask for
+// confirmation before destructive calls
+function withAnnotations(tools) {
+  return tools.map((tool) => {
+    const readOnly = READ_TOOLS.includes(tool.name);
+    return {
+      ...tool,
+      annotations: {
+        readOnlyHint: readOnly,
+        destructiveHint: DESTRUCTIVE_TOOLS.includes(tool.name),
+        idempotentHint: readOnly || IDEMPOTENT_WRITE_TOOLS.includes(tool.name),
+        openWorldHint: !LOCAL_TOOLS.includes(tool.name),
+      },
+    };
+  });
+}
+
+// Throw unless the caller's token grants the scope. Calls without auth info
+// (stdio, HTTP without a token file) are not restricted.
+function requireScope(authInfo, scope, action) {
+  if (!authInfo || authInfo.scopes.includes(scope)) return;
+  throw new McpError(ErrorCode.InvalidRequest, `Insufficient scope: ${action} requires the "${scope}" scope`, {
+    required_scope: scope,
+    granted_scopes: authInfo.scopes,
+    client: authInfo.clientId,
+  });
+}
+
+// Every account-scoped tool accepts an optional account_id that routes the
+// call to that account instead of DRIP_ACCOUNT_ID
+function withAccountIdParam(tools) {
+  return tools.map((tool) => {
+    if (ACCOUNT_INDEPENDENT_TOOLS.includes(tool.name)) return tool;
+    return {
+      ...tool,
+      inputSchema: {
+        ...tool.inputSchema,
+        properties: {
+          ...tool.inputSchema.properties,
+          account_id: {
+            type: 'string',
+            pattern: '^\\d+$',
+            description: 'Numeric Drip account ID to use (default: DRIP_ACCOUNT_ID). See drip_list_accounts',
+          },
+        },
+      },
+    };
+  });
+}
+
+// Every tool that changes data accepts dry_run, which previews the Drip
+// requests instead of sending them (see DripClient.dryRun)
+function withDryRunParam(tools) {
+  return tools.map((tool) => {
+    if (READ_TOOLS.includes(tool.name)) return tool;
+    return {
+      ...tool,
+      inputSchema: {
+        ...tool.inputSchema,
+        properties: {
+          ...tool.inputSchema.properties,
+          dry_run: {
+            type: 'boolean',
+            description: 'Validate and return the HTTP method, path and payload of each request (one per batch chunk) without calling Drip (default: false)',
+          },
+        },
+      },
+    };
+  });
+}
+
+// Failed tool call: MCP isError result whose text is a JSON body describing
+// the failure (see describeError for the error types)
+function errorResult(error) {
+  return {
+    isError: true,
+    content: [{ type: 'text', text: JSON.stringify({ error: describeError(error) }, null, 2) }],
+  };
+}
+
+// Successful tool call: the data as structuredContent (see output-schemas.js)
+// with a one-line summary, followed by the same data as JSON text for
+// clients that do not read structuredContent
+function structuredResult(data, summary, extraContent = []) {
+  return {
+    content: [
+      { type: 'text', text: summary },
+      { type: 'text', text: JSON.stringify(data, null, 2) },
+      ...extraContent,
+    ],
+    structuredContent: data,
+  };
+}
+
+// Drip answers many updates with 204 No Content (an empty string in axios)
+function actionData(result) {
+  return result && typeof result === 'object' && !Array.isArray(result) ? result : { success: true };
+}
+
+// Batch methods return one response per chunk, or the response itself for a single chunk
+function batchData(records, result) {
+  const responses = (Array.isArray(result) ? result : [result]).map(actionData);
+  return { records: records.length, chunks: responses.length, responses };
+}
+
+function plural(count, noun) {
+  if (count === 1) return `${count} ${noun}`;
+  return `${count} ${noun}${/(s|x|ch|sh)$/.test(noun) ? 'es' : 's'}`;
+}
+
+// "3 campaigns", with the page or the total when Drip reports more
+function listSummary(data, key, noun) {
+  const count = data?.[key]?.length ?? 0;
+  const meta = data?.meta || {};
+  let summary = plural(count, noun);
+  if (meta.truncated) {
+    summary += ` of ${meta.total_count} (truncated at max_records)`;
+  } else if (meta.total_pages > 1 && meta.page) {
+    summary += ` (page ${meta.page} of ${meta.total_pages}, ${meta.total_count} in total)`;
+  }
+  return summary;
+}
+
+// Progress callback for client methods that send several requests, or null
+// when the caller did not ask for progress. Each report becomes an MCP
+// notifications/progress message: progress counts records, and the message
+// names the current chunk (or page).
+function progressReporter(extra) {
+  const progressToken = extra?._meta?.progressToken;
+  if (progressToken === undefined || !extra.sendNotification) return null;
+  return ({ done, total, chunk, chunks }) => {
+    const params = {
+      progressToken,
+      progress: done,
+      message: `Chunk ${chunk}${chunks ? ` of ${chunks}` : ''}: ${done}${total != null ? ` of ${total}` : ''} records`,
+    };
+    if (total != null) params.total = total;
+    extra.sendNotification({ method: 'notifications/progress', params }).catch(() => {
+      // A client that went away should not fail the batch
+    });
+  };
+}
+
+// The SDK drops the response to a cancelled request, so what a cancelled
+// batch already wrote to Drip goes to the server log and, as a logging
+// notification, to the client
+function reportCancelled(server, tool, error) {
+  const data = { tool, ...error.toJSON() };
+  console.error(`${tool} cancelled:`, JSON.stringify(data));
+  server.sendLoggingMessage({ level: 'warning', logger: 'drip', data }).catch(() => {
+    // The client may already be gone
+  });
+}
+
+// Dry run: the requests the tool would have sent in place of its result.
+// Near-match warnings from the tool's own result are kept.
+function dryRunResult(requests, result) {
+  const chunks = requests.filter(request => request.chunk !== undefined).length;
+  const targets = [...new Set(requests.map(request => `${request.method} ${request.path}`))];
+  let summary = `Dry run, nothing sent: ${plural(requests.length, 'request')}`;
+  if (targets.length > 0) summary += ` (${targets.join(', ')})`;
+  if (chunks > 0) summary += ` in ${plural(chunks, 'batch')}`;
+  return structuredResult({ dry_run: true, requests }, summary, result.content.slice(2));
+}
+
+// Report the Drip API requests behind a tool result, one entry per attempt
+function withAttempts(result, attempts) {
+  if (!attempts || attempts.length === 0) return result;
+  return { ...result, _meta: { ...result._meta, attempts } };
+}
+
 export class DripMCPServer {
   constructor(options = {}) {
-    this.server = new Server(
+    // Initialize Drip client (allow injection for testing). DRIP_AUTH_TYPE
+    // selects between an API key and an OAuth access token.
+    // Clients share one rate limiter: Drip's hourly budget is per user.
+    this.rateLimiter = new RateLimiter();
+    this.clientFactory = options.clientFactory || ((accountId) => {
+      const { authType, credential } = resolveCredentials(process.env);
+      return new DripClient(credential, accountId, {
+        authType,
+        rateLimiter: this.rateLimiter,
+        retry: retryPolicyFromEnv(process.env),
+        onAttempt: (attempt) => this.recordAttempt(attempt),
+        currentSignal: () => this.callContext.getStore()?.signal,
+      });
+    });
+    this.defaultClient = options.dripClient || this.clientFactory(process.env.DRIP_ACCOUNT_ID);
+
+    // Clients for other accounts (tool calls with account_id), created on
+    // first use. The client for the current call is held in callContext.
+    this.accountClients = new Map();
+    this.callContext = new AsyncLocalStorage();
+
+    // Events received by the optional webhook listener (see startWebhookReceiver)
+    this.webhookStore = options.webhookStore || new WebhookEventStore(process.env.DRIP_WEBHOOK_STORE || null);
+
+    // drip_sync_product_feed only reads feeds from this directory; over HTTP,
+    // where callers are not local users, it is required
+    this.productFeedDir = options.productFeedDir ?? process.env.DRIP_PRODUCT_FEED_DIR ?? null;
+
+    // Tools switched off by DRIP_MODE=readonly or the allow/deny lists are
+    // neither listed nor callable (see tool-filter.js)
+    this.toolFilter = options.toolFilter || toolFilterFromEnv(process.env);
+    this.webhookReceiver = null;
+
+    // Tool calls and resource reads still running, awaited by drain()
+    this.inFlight = new Set();
+    this.httpServer = null;
+
+    // MCP protocol server for stdio and tests; the HTTP transport creates
+    // one per session with createServer()
+    this.server = this.createServer();
+  }
+
+  createServer() {
+    const server = new Server(
       {
         name: 'drip-mcp-server',
         version: '1.0.0',
@@ -28,99 +315,276 @@ export class DripMCPServer {
       {
         capabilities: {
           tools: {},
+          resources: {},
+          prompts: {},
+          logging: {},
         },
       }
     );
+    this.setupHandlers(server);
+    return server;
+  }
 
-    // Initialize Drip client (allow injection for testing)
-    this.dripClient = options.dripClient || new DripClient(
-      process.env.DRIP_API_KEY,
-      process.env.DRIP_ACCOUNT_ID
-    );
+  // Start an HTTP listener that records Drip webhook POSTs in the event store
+  async startWebhookReceiver(options = {}) {
+    this.webhookReceiver = new WebhookReceiver(this.webhookStore, {
+      host: options.host ?? process.env.DRIP_WEBHOOK_HOST,
+      port: options.port ?? Number(process.env.DRIP_WEBHOOK_PORT || 0),
+      path: options.path ?? process.env.DRIP_WEBHOOK_PATH,
+      secret: options.secret ?? process.env.DRIP_WEBHOOK_SECRET,
+    });
+    return this.webhookReceiver.start();
+  }
 
-    this.setupHandlers();
+  async stopWebhookReceiver() {
+    if (this.webhookReceiver) {
+      await this.webhookReceiver.stop();
+      this.webhookReceiver = null;
+    }
   }
 
-  // Test helper to execute a tool without stdio transport
-  async callTool(name, args = {}) {
-    try {
-      switch (name) {
-        // Subscriber operations
-        case 'drip_create_subscriber':
-          return await this.handleCreateSubscriber(args);
-        case 'drip_list_subscribers':
-          return await this.handleListSubscribers(args);
-        case 'drip_get_subscriber':
-          return await this.handleGetSubscriber(args);
-        case 'drip_delete_subscriber':
-          return await this.handleDeleteSubscriber(args);
-        case 'drip_unsubscribe':
-          return await this.handleUnsubscribe(args);
-        case 'drip_tag_subscriber':
-          return await this.handleTagSubscriber(args);
-        case 'drip_remove_tag':
-          return await this.handleRemoveTag(args);
-        case 'drip_track_event':
-          return await this.handleTrackEvent(args);
-        case 'drip_list_campaigns':
-          return await this.handleListCampaigns(args);
-        case 'drip_subscribe_to_campaign':
-          return await this.handleSubscribeToCampaign(args);
-        case 'drip_batch_create_subscribers':
-          return await this.handleBatchCreateSubscribers(args);
-        case 'drip_search_subscribers':
-          return await this.handleSearchSubscribers(args);
-        // Batch operations
-        case 'drip_batch_unsubscribe':
-          return await this.handleBatchUnsubscribe(args);
-        // Unsubscribes analytics
-        case 'drip_recent_unsubscribes':
-          return await this.handleRecentUnsubscribes(args);
-        case 'drip_unsubscribe_stats':
-          return await this.handleUnsubscribeStats(args);
-        // Workflows
-        case 'drip_list_workflows':
-          return await this.handleListWorkflows(args);
-        case 'drip_activate_workflow':
-          return await this.handleActivateWorkflow(args);
-        case 'drip_pause_workflow':
-          return await this.handlePauseWorkflow(args);
-        case 'drip_start_workflow':
-          return await this.handleStartWorkflow(args);
-        case 'drip_remove_from_workflow':
-          return await this.handleRemoveFromWorkflow(args);
-        // Forms
-        case 'drip_list_forms':
-          return await this.handleListForms(args);
-        case 'drip_get_form':
-          return await this.handleGetForm(args);
-        // Broadcasts
-        case 'drip_list_broadcasts':
-          return await this.handleListBroadcasts(args);
-        case 'drip_get_broadcast':
-          return await this.handleGetBroadcast(args);
-        // Conversions & Purchases
-        case 'drip_record_conversion':
-          return await this.handleRecordConversion(args);
-        case 'drip_record_purchase':
-          return await this.handleRecordPurchase(args);
-        // Account & Custom fields
-        case 'drip_get_account':
-          return await this.handleGetAccount();
-        case 'drip_list_custom_fields':
-          return await this.handleListCustomFields();
-        default:
-          throw new Error(`Unknown tool: ${name}`);
+  // Client for the account a tool call targets; the default account
+  // unless the call passed account_id
+  get dripClient() {
+    return this.callContext.getStore()?.client || this.defaultClient;
+  }
+
+  // Clients are kept for the MAX_ACCOUNT_CLIENTS most recently used
+  // accounts, so callers cycling through IDs cannot grow the cache unbounded
+  clientForAccount(accountId) {
+    if (!accountId || String(accountId) === String(this.defaultClient.accountId)) {
+      return this.defaultClient;
+    }
+    const key = String(accountId);
+    if (!/^\d+$/.test(key)) {
+      throw new DripValidationError(`Invalid account_id "${key}": Drip account IDs are numeric (see drip_list_accounts)`);
+    }
+    const client = this.accountClients.get(key) || this.clientFactory(key);
+    this.accountClients.delete(key);
+    this.accountClients.set(key, client);
+    if (this.accountClients.size > MAX_ACCOUNT_CLIENTS) {
+      this.accountClients.delete(this.accountClients.keys().next().value);
+    }
+    return client;
+  }
+
+  isToolEnabled(name) {
+    return toolDisabledReason(this.toolFilter, name, READ_TOOLS.includes(name)) === null;
+  }
+
+  requireToolEnabled(name) {
+    const reason = toolDisabledReason(this.toolFilter, name, READ_TOOLS.includes(name));
+    if (!reason) return;
+    throw new McpError(ErrorCode.InvalidRequest, `Tool ${name} is disabled: ${reason}`, {
+      tool: name,
+      mode: this.toolFilter.mode,
+    });
+  }
+
+  recordAttempt(attempt) {
+    this.callContext.getStore()?.attempts.push(attempt);
+  }
+
+  // Options for client methods that make several requests, so they can
+  // report progress to the caller of the current tool and stop when it is
+  // cancelled
+  callOptions() {
+    const store = this.callContext.getStore();
+    const options = {};
+    if (store?.onProgress) options.onProgress = store.onProgress;
+    if (store?.signal) options.signal = store.signal;
+    return options;
+  }
+
+  // Run a tool call with its account_id argument resolved to a client. HTTP
+  // attempts made during the call (including retries) are collected for the
+  // result's _meta. The request's AbortSignal (fired when the client sends
+  // notifications/cancelled) is handed to every Drip request of the call.
+  // When the tool changes data (options.dryRunnable) and the call passed
+  // dry_run, it runs against DripClient.dryRun() and returns the requests it
+  // would have sent.
+  withAccount(args, fn, extra = {}, options = {}) {
+    const { account_id: accountId, dry_run: dryRun, ...toolArgs } = args || {};
+    const store = { client: null, attempts: [], onProgress: progressReporter(extra), signal: extra.signal };
+    return this.track(this.callContext.run(store, async () => {
+      try {
+        // A string "true" must not fall through to a real write
+        if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+          throw new DripValidationError(`dry_run must be a boolean, got ${JSON.stringify(dryRun)}`);
+        }
+        store.client = this.clientForAccount(accountId);
+        if (dryRun === true && options.dryRunnable) {
+          const { client, requests } = store.client.dryRun();
+          store.client = client;
+          return withAttempts(dryRunResult(requests, await fn(toolArgs)), store.attempts);
+        }
+        return withAttempts(await fn(toolArgs), store.attempts);
+      } catch (error) {
+        error.attempts = store.attempts;
+        throw error;
       }
+    }));
+  }
+
+  // Remember work that calls Drip so shutdown can wait for it
+  track(promise) {
+    this.inFlight.add(promise);
+    const done = () => this.inFlight.delete(promise);
+    promise.then(done, done);
+    return promise;
+  }
+
+  // Resolves once every tracked call has settled, or after timeoutMs.
+  // Returns the number of calls still running.
+  async drain(timeoutMs = 30000) {
+    let timer;
+    const timeout = new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); });
+    await Promise.race([Promise.allSettled([...this.inFlight]), timeout]);
+    clearTimeout(timer);
+    return this.inFlight.size;
+  }
+
+  // Test helper to execute a tool without stdio transport. `extra` stands in
+  // for the SDK's request extra (authInfo, _meta.progressToken, sendNotification).
+  async callTool(name, args = {}, extra = {}) {
+    this.requireToolEnabled(name);
+    requireScope(extra.authInfo, toolScope(name), name);
+    try {
+      return await this.withAccount(args, async (args) => {
+        switch (name) {
+          // Subscriber operations
+          case 'drip_create_subscriber':
+            return await this.handleCreateSubscriber(args);
+          case 'drip_list_subscribers':
+            return await this.handleListSubscribers(args);
+          case 'drip_get_subscriber':
+            return await this.handleGetSubscriber(args);
+          case 'drip_delete_subscriber':
+            return await this.handleDeleteSubscriber(args);
+          case 'drip_unsubscribe':
+            return await this.handleUnsubscribe(args);
+          case 'drip_tag_subscriber':
+            return await this.handleTagSubscriber(args);
+          case 'drip_remove_tag':
+            return await this.handleRemoveTag(args);
+          case 'drip_list_tags':
+            return await this.handleListTags();
+          case 'drip_track_event':
+            return await this.handleTrackEvent(args);
+          case 'drip_list_event_actions':
+            return await this.handleListEventActions(args);
+          case 'drip_list_campaigns':
+            return await this.handleListCampaigns(args);
+          case 'drip_subscribe_to_campaign':
+            return await this.handleSubscribeToCampaign(args);
+          case 'drip_get_campaign':
+            return await this.handleGetCampaign(args);
+          case 'drip_activate_campaign':
+            return await this.handleActivateCampaign(args);
+          case 'drip_pause_campaign':
+            return await this.handlePauseCampaign(args);
+          case 'drip_list_campaign_subscribers':
+            return await this.handleListCampaignSubscribers(args);
+          case 'drip_list_campaign_subscriptions':
+            return await this.handleListCampaignSubscriptions(args);
+          case 'drip_batch_create_subscribers':
+            return await this.handleBatchCreateSubscribers(args);
+          case 'drip_search_subscribers':
+            return await this.handleSearchSubscribers(args);
+          // Batch operations
+          case 'drip_batch_unsubscribe':
+            return await this.handleBatchUnsubscribe(args);
+          // Unsubscribes analytics
+          case 'drip_recent_unsubscribes':
+            return await this.handleRecentUnsubscribes(args);
+          case 'drip_unsubscribe_stats':
+            return await this.handleUnsubscribeStats(args);
+          // Workflows
+          case 'drip_list_workflows':
+            return await this.handleListWorkflows(args);
+          case 'drip_activate_workflow':
+            return await this.handleActivateWorkflow(args);
+          case 'drip_pause_workflow':
+            return await this.handlePauseWorkflow(args);
+          case 'drip_start_workflow':
+            return await this.handleStartWorkflow(args);
+          case 'drip_remove_from_workflow':
+            return await this.handleRemoveFromWorkflow(args);
+          case 'drip_get_workflow':
+            return await this.handleGetWorkflow(args);
+          case 'drip_list_workflow_triggers':
+            return await this.handleListWorkflowTriggers(args);
+          case 'drip_create_workflow_trigger':
+            return await this.handleCreateWorkflowTrigger(args);
+          case 'drip_update_workflow_trigger':
+            return await this.handleUpdateWorkflowTrigger(args);
+          // Forms
+          case 'drip_list_forms':
+            return await this.handleListForms(args);
+          case 'drip_get_form':
+            return await this.handleGetForm(args);
+          // Broadcasts
+          case 'drip_list_broadcasts':
+            return await this.handleListBroadcasts(args);
+          case 'drip_get_broadcast':
+            return await this.handleGetBroadcast(args);
+          // Conversions & Purchases
+          case 'drip_record_conversion':
+            return await this.handleRecordConversion(args);
+          case 'drip_list_conversions':
+            return await this.handleListConversions(args);
+          case 'drip_get_conversion':
+            return await this.handleGetConversion(args);
+          case 'drip_record_purchase':
+            return await this.handleRecordPurchase(args);
+          // Shopper Activity
+          case 'drip_upsert_cart':
+            return await this.handleUpsertCart(args);
+          case 'drip_batch_upsert_carts':
+            return await this.handleBatchUpsertCarts(args);
+          case 'drip_upsert_order':
+            return await this.handleUpsertOrder(args);
+          case 'drip_batch_upsert_orders':
+            return await this.handleBatchUpsertOrders(args);
+          case 'drip_upsert_product':
+            return await this.handleUpsertProduct(args);
+          case 'drip_batch_upsert_products':
+            return await this.handleBatchUpsertProducts(args);
+          case 'drip_sync_product_feed':
+            return await this.handleSyncProductFeed(args);
+          // Webhooks
+          case 'drip_list_webhooks':
+            return await this.handleListWebhooks();
+          case 'drip_get_webhook':
+            return await this.handleGetWebhook(args);
+          case 'drip_create_webhook':
+            return await this.handleCreateWebhook(args);
+          case 'drip_delete_webhook':
+            return await this.handleDeleteWebhook(args);
+          case 'drip_list_webhook_events':
+            return await this.handleListWebhookEvents(args);
+          // Account & Custom fields
+          case 'drip_rate_limit_status':
+            return await this.handleRateLimitStatus();
+          case 'drip_list_accounts':
+            return await this.handleListAccounts();
+          case 'drip_get_account':
+            return await this.handleGetAccount();
+          case 'drip_list_custom_fields':
+            return await this.handleListCustomFields();
+          default:
+            throw new DripValidationError(`Unknown tool: ${name}`);
+        }
+      }, extra, { dryRunnable: !READ_TOOLS.includes(name) });
     } catch (error) {
-      return { content: [{ type: 'text', text: `Error: ${error.message}` }] };
+      return withAttempts(errorResult(error), error.attempts);
     }
   }
 
-  setupHandlers() {
+  setupHandlers(server) {
     // List available tools
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
-      tools: [
+    server.setRequestHandler(ListToolsRequestSchema, async (request, extra) => ({
+      tools: withAnnotations(withOutputSchemas(withDryRunParam(withAccountIdParam([
         // Subscriber Tools
         {
           name: 'drip_create_subscriber',
@@ -203,6 +667,7 @@ export class DripMCPServer {
                 type: 'string',
                 description: 'Comma-separated list of tags to filter by',
               },
+              ...FETCH_ALL_PROPERTIES,
             },
           },
         },
@@ -254,7 +719,7 @@ export class DripMCPServer {
         },
         {
           name: 'drip_tag_subscriber',
-          description: 'Apply tags to a subscriber',
+          description: 'Apply tags to a subscriber (warns when a tag nearly matches an existing tag)',
           inputSchema: {
             type: 'object',
             properties: {
@@ -289,9 +754,14 @@ export class DripMCPServer {
             required: ['email', 'tag'],
           },
         },
+        {
+          name: 'drip_list_tags',
+          description: 'List all tags used in the Drip account',
+          inputSchema: { type: 'object', properties: {} },
+        },
         {
           name: 'drip_track_event',
-          description: 'Track a custom event for a subscriber',
+          description: 'Track a custom event for a subscriber (warns when the action nearly matches an existing one)',
           inputSchema: {
             type: 'object',
             properties: {
@@ -311,10 +781,19 @@ export class DripMCPServer {
                 type: 'string',
                 description: 'ISO 8601 timestamp when the event occurred',
               },
+              dedupe_key: {
+                type: 'string',
+                description: 'Unique key for this event, stored as the dedupe_key property so downstream consumers can spot duplicates',
+              },
             },
             required: ['email', 'action'],
           },
         },
+        {
+          name: 'drip_list_event_actions',
+          description: 'List all custom event actions used in the Drip account',
+          inputSchema: { type: 'object', properties: { page: { type: 'number' }, per_page: { type: 'number', description: 'Max 1000' }, ...FETCH_ALL_PROPERTIES } },
+        },
         {
           name: 'drip_list_campaigns',
           description: 'List all campaigns in your Drip account',
@@ -334,6 +813,7 @@ export class DripMCPServer {
                 type: 'number',
                 description: 'Number of campaigns per page',
               },
+              ...FETCH_ALL_PROPERTIES,
             },
           },
         },
@@ -384,6 +864,48 @@ export class DripMCPServer {
             required: ['campaign_id', 'email'],
           },
         },
+        {
+          name: 'drip_get_campaign',
+          description: 'Get an Email Series Campaign by ID',
+          inputSchema: { type: 'object', properties: { campaign_id: { type: 'string' } }, required: ['campaign_id'] },
+        },
+        {
+          name: 'drip_activate_campaign',
+          description: 'Activate an Email Series Campaign by ID',
+          inputSchema: { type: 'object', properties: { campaign_id: { type: 'string' } }, required: ['campaign_id'] },
+        },
+        {
+          name: 'drip_pause_campaign',
+          description: 'Pause an Email Series Campaign by ID',
+          inputSchema: { type: 'object', properties: { campaign_id: { type: 'string' } }, required: ['campaign_id'] },
+        },
+        {
+          name: 'drip_list_campaign_subscribers',
+          description: 'List subscribers in an Email Series Campaign (follows all pages unless page is given)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              campaign_id: { type: 'string', description: 'Campaign ID' },
+              status: { type: 'string', enum: ['active', 'unsubscribed', 'removed'], description: 'Subscription status (default: active)' },
+              direction: { type: 'string', enum: ['asc', 'desc'], description: 'Sort direction for created_at' },
+              page: { type: 'number', description: 'Fetch only this page' },
+              per_page: { type: 'number', description: 'Records per request (max 1000)' },
+              max_records: { type: 'number', description: 'Stop after this many records (default 10000). meta.truncated reports whether more remain' },
+            },
+            required: ['campaign_id'],
+          },
+        },
+        {
+          name: 'drip_list_campaign_subscriptions',
+          description: "List a subscriber's Email Series Campaign subscriptions",
+          inputSchema: {
+            type: 'object',
+            properties: {
+              subscriber_id: { type: 'string', description: 'Subscriber ID or email address' },
+            },
+            required: ['subscriber_id'],
+          },
+        },
         {
           name: 'drip_batch_create_subscribers',
           description: 'Create or update multiple subscribers at once',
@@ -414,18 +936,38 @@ export class DripMCPServer {
         },
         {
           name: 'drip_search_subscribers',
-          description: 'Search for subscribers using various filters',
+          description: 'Search subscribers across all pages. Status, tags and subscribed dates are filtered by Drip; the other filters are applied while streaming through the results. Reports how many records were scanned',
           inputSchema: {
             type: 'object',
             properties: {
               email: { type: 'string', description: 'Partial email match' },
-              tags: { type: 'array', items: { type: 'string' }, description: 'Must include all tags' },
-              custom_field_filters: { type: 'object', description: 'Custom field equals filters' },
-              created_after: { type: 'string', description: 'ISO 8601 lower bound' },
-              created_before: { type: 'string', description: 'ISO 8601 upper bound' },
-              page: { type: 'number' },
-              per_page: { type: 'number' },
-              status: { type: 'string', enum: ['active', 'unsubscribed', 'all'] },
+              tags: { type: 'array', items: { type: 'string' }, description: 'Tags to match (see tag_match)' },
+              tag_match: { type: 'string', enum: ['all', 'any'], description: 'Require all tags (default) or any of them' },
+              status: { type: 'string', enum: ['active', 'unsubscribed', 'active_or_unsubscribed', 'undeliverable', 'all'], description: 'Subscriber status (Drip default: active)' },
+              subscribed_after: { type: 'string', description: 'ISO 8601; subscribers created after this date (filtered by Drip)' },
+              subscribed_before: { type: 'string', description: 'ISO 8601; subscribers created before this date (filtered by Drip)' },
+              created_after: { type: 'string', description: 'ISO 8601 lower bound on created_at (inclusive)' },
+              created_before: { type: 'string', description: 'ISO 8601 upper bound on created_at (inclusive)' },
+              lead_score_min: { type: 'number', description: 'Minimum lead score (inclusive)' },
+              lead_score_max: { type: 'number', description: 'Maximum lead score (inclusive)' },
+              custom_fields: {
+                type: 'array',
+                description: 'Custom field predicates, all of which must match',
+                items: {
+                  type: 'object',
+                  properties: {
+                    field: { type: 'string', description: 'Custom field identifier' },
+                    op: { type: 'string', enum: CUSTOM_FIELD_OPERATORS, description: 'Comparison (default: eq). Numeric strings compare as numbers' },
+                    value: { description: 'Value to compare with (an array for "in"; omit for exists/not_exists)' },
+                  },
+                  required: ['field'],
+                },
+              },
+              custom_field_filters: { type: 'object', description: 'Shorthand for equality predicates: { field: value }' },
+              limit: { type: 'number', description: 'Stop after this many matches (default 100)' },
+              max_scanned: { type: 'number', description: 'Stop after scanning this many subscribers (default 10000)' },
+              page: { type: 'number', description: 'Page to start scanning from (default 1)' },
+              per_page: { type: 'number', description: 'Records fetched per request (default and max 1000)' },
               sort: { type: 'string', enum: ['created_at', 'updated_at'] },
               direction: { type: 'string', enum: ['asc', 'desc'] },
             },
@@ -488,6 +1030,7 @@ export class DripMCPServer {
               status: { type: 'string', enum: ['active', 'paused', 'draft', 'all'] },
               page: { type: 'number' },
               per_page: { type: 'number' },
+              ...FETCH_ALL_PROPERTIES,
             },
           },
         },
@@ -511,10 +1054,49 @@ export class DripMCPServer {
           description: 'Remove a subscriber from a workflow',
           inputSchema: { type: 'object', properties: { workflow_id: { type: 'string' }, email: { type: 'string' } }, required: ['workflow_id','email'] },
         },
+        {
+          name: 'drip_get_workflow',
+          description: 'Get workflow by ID',
+          inputSchema: { type: 'object', properties: { workflow_id: { type: 'string' } }, required: ['workflow_id'] },
+        },
+        {
+          name: 'drip_list_workflow_triggers',
+          description: 'List the triggers that start a workflow',
+          inputSchema: { type: 'object', properties: { workflow_id: { type: 'string' } }, required: ['workflow_id'] },
+        },
+        {
+          name: 'drip_create_workflow_trigger',
+          description: 'Add a trigger to a workflow',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              workflow_id: { type: 'string', description: 'Workflow ID' },
+              provider: { type: 'string', description: 'Trigger provider (e.g. drip, leadpages)' },
+              trigger_type: { type: 'string', description: 'Snake case trigger type (e.g. submitted_landing_page)' },
+              properties: { type: 'object', description: 'Trigger settings, e.g. { "landing_page": "My Landing Page" }' },
+            },
+            required: ['workflow_id', 'provider', 'trigger_type'],
+          },
+        },
+        {
+          name: 'drip_update_workflow_trigger',
+          description: 'Update an existing workflow trigger',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              workflow_id: { type: 'string', description: 'Workflow ID' },
+              trigger_id: { type: 'string', description: 'Trigger ID' },
+              provider: { type: 'string', description: 'Trigger provider (e.g. drip, leadpages)' },
+              trigger_type: { type: 'string', description: 'Snake case trigger type (e.g. submitted_landing_page)' },
+              properties: { type: 'object', description: 'Trigger settings' },
+            },
+            required: ['workflow_id', 'trigger_id', 'provider', 'trigger_type'],
+          },
+        },
         {
           name: 'drip_list_forms',
           description: 'List forms',
-          inputSchema: { type: 'object', properties: { page: { type: 'number' }, per_page: { type: 'number' } } },
+          inputSchema: { type: 'object', properties: { page: { type: 'number' }, per_page: { type: 'number' }, ...FETCH_ALL_PROPERTIES } },
         },
         {
           name: 'drip_get_form',
@@ -524,7 +1106,7 @@ export class DripMCPServer {
         {
           name: 'drip_list_broadcasts',
           description: 'List broadcasts',
-          inputSchema: { type: 'object', properties: { status: { type: 'string', enum: ['draft','scheduled','sent','all'] }, page: { type: 'number' }, per_page: { type: 'number' } } },
+          inputSchema: { type: 'object', properties: { status: { type: 'string', enum: ['draft','scheduled','sent','all'] }, page: { type: 'number' }, per_page: { type: 'number' }, ...FETCH_ALL_PROPERTIES } },
         },
         {
           name: 'drip_get_broadcast',
@@ -534,7 +1116,17 @@ export class DripMCPServer {
         {
           name: 'drip_record_conversion',
           description: 'Record a conversion event',
-          inputSchema: { type: 'object', properties: { email: { type: 'string' }, action: { type: 'string' }, occurred_at: { type: 'string' }, properties: { type: 'object' } }, required: ['email','action'] },
+          inputSchema: { type: 'object', properties: { email: { type: 'string' }, action: { type: 'string', description: 'Conversion goal name' }, occurred_at: { type: 'string' }, properties: { type: 'object' }, check_goal: { type: 'boolean', description: 'Reject actions that do not match a configured conversion goal (default false)' } }, required: ['email','action'] },
+        },
+        {
+          name: 'drip_list_conversions',
+          description: 'List conversion goals configured in the account',
+          inputSchema: { type: 'object', properties: { status: { type: 'string', enum: ['active', 'disabled', 'all'] }, sort: { type: 'string', enum: ['created_at', 'name'] }, direction: { type: 'string', enum: ['asc', 'desc'] }, page: { type: 'number' }, per_page: { type: 'number' }, ...FETCH_ALL_PROPERTIES } },
+        },
+        {
+          name: 'drip_get_conversion',
+          description: 'Get conversion goal by ID',
+          inputSchema: { type: 'object', properties: { conversion_id: { type: 'string' } }, required: ['conversion_id'] },
         },
         {
           name: 'drip_record_purchase',
@@ -542,151 +1134,464 @@ export class DripMCPServer {
           inputSchema: { type: 'object', properties: { email: { type: 'string' }, amount: { type: 'number' }, occurred_at: { type: 'string' }, properties: { type: 'object' }, items: { type: 'array', items: { type: 'object' } } }, required: ['email','amount'] },
         },
         {
-          name: 'drip_get_account',
-          description: 'Get Drip account details',
-          inputSchema: { type: 'object', properties: {} },
+          name: 'drip_upsert_cart',
+          description: 'Create or update a shopper cart (Shopper Activity API) for abandoned-cart flows',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              provider: { type: 'string', description: 'Lower snake case platform identifier (e.g. my_custom_platform)' },
+              email: { type: 'string', description: 'Email address of the shopper (email or person_id required)' },
+              person_id: { type: 'string', description: 'Drip person ID (takes precedence over email)' },
+              action: { type: 'string', enum: ['created', 'updated'], description: 'Cart action' },
+              cart_id: { type: 'string', description: 'Unique internal cart ID' },
+              cart_url: { type: 'string', description: 'URL linking back to the shopper\'s cart' },
+              occurred_at: { type: 'string', description: 'ISO 8601 timestamp of the cart activity' },
+              cart_public_id: { type: 'string', description: 'Customer-facing cart identifier' },
+              grand_total: { type: 'number', description: 'Cart total including discounts' },
+              total_discounts: { type: 'number', description: 'Discount on the entire cart' },
+              currency: { type: 'string', description: 'ISO 4217 currency code' },
+              initial_status: { type: 'string', enum: ['active', 'unsubscribed'], description: 'Status for newly created people' },
+              items: {
+                type: 'array',
+                description: 'Cart line items',
+                items: {
+                  type: 'object',
+                  properties: {
+                    product_id: { type: 'string' },
+                    product_variant_id: { type: 'string' },
+                    sku: { type: 'string' },
+                    name: { type: 'string' },
+                    brand: { type: 'string' },
+                    categories: { type: 'array', items: { type: 'string' } },
+                    price: { type: 'number' },
+                    quantity: { type: 'number' },
+                    discounts: { type: 'number' },
+                    total: { type: 'number' },
+                    product_url: { type: 'string' },
+                    image_url: { type: 'string' },
+                  },
+                  required: ['product_id', 'product_variant_id', 'name', 'price'],
+                },
+              },
+            },
+            required: ['provider', 'action', 'cart_id', 'cart_url'],
+          },
         },
         {
-          name: 'drip_list_custom_fields',
-          description: 'List custom field identifiers',
-          inputSchema: { type: 'object', properties: {} },
+          name: 'drip_batch_upsert_carts',
+          description: 'Create or update multiple shopper carts at once (sent in batches of 1000)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              carts: {
+                type: 'array',
+                items: { type: 'object' },
+                description: 'Array of cart objects, each with the same fields as drip_upsert_cart',
+              },
+            },
+            required: ['carts'],
+          },
         },
-      ],
-    }));
-
-    // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
-
-      try {
-        switch (name) {
-          // Subscriber operations
-          case 'drip_create_subscriber':
-            return await this.handleCreateSubscriber(args);
-          case 'drip_list_subscribers':
-            return await this.handleListSubscribers(args);
-          case 'drip_get_subscriber':
-            return await this.handleGetSubscriber(args);
-          case 'drip_delete_subscriber':
-            return await this.handleDeleteSubscriber(args);
-          case 'drip_unsubscribe':
-            return await this.handleUnsubscribe(args);
-          case 'drip_tag_subscriber':
-            return await this.handleTagSubscriber(args);
-          case 'drip_remove_tag':
-            return await this.handleRemoveTag(args);
-          case 'drip_track_event':
-            return await this.handleTrackEvent(args);
-          case 'drip_list_campaigns':
-            return await this.handleListCampaigns(args);
-          case 'drip_subscribe_to_campaign':
-            return await this.handleSubscribeToCampaign(args);
-          case 'drip_batch_create_subscribers':
-            return await this.handleBatchCreateSubscribers(args);
-          case 'drip_search_subscribers':
-            return await this.handleSearchSubscribers(args);
-          // Batch operations
-          case 'drip_batch_unsubscribe':
-            return await this.handleBatchUnsubscribe(args);
-          // Unsubscribes analytics
-          case 'drip_recent_unsubscribes':
-            return await this.handleRecentUnsubscribes(args);
-          case 'drip_unsubscribe_stats':
-            return await this.handleUnsubscribeStats(args);
-          // Workflows
-          case 'drip_list_workflows':
-            return await this.handleListWorkflows(args);
-          case 'drip_activate_workflow':
-            return await this.handleActivateWorkflow(args);
-          case 'drip_pause_workflow':
-            return await this.handlePauseWorkflow(args);
-          case 'drip_start_workflow':
-            return await this.handleStartWorkflow(args);
-          case 'drip_remove_from_workflow':
-            return await this.handleRemoveFromWorkflow(args);
-          // Forms
-          case 'drip_list_forms':
-            return await this.handleListForms(args);
-          case 'drip_get_form':
-            return await this.handleGetForm(args);
-          // Broadcasts
-          case 'drip_list_broadcasts':
-            return await this.handleListBroadcasts(args);
-          case 'drip_get_broadcast':
-            return await this.handleGetBroadcast(args);
-          // Conversions & Purchases
-          case 'drip_record_conversion':
-            return await this.handleRecordConversion(args);
-          case 'drip_record_purchase':
-            return await this.handleRecordPurchase(args);
-          // Account & Custom fields
-          case 'drip_get_account':
-            return await this.handleGetAccount();
-          case 'drip_list_custom_fields':
-            return await this.handleListCustomFields();
-          default:
-            throw new Error(`Unknown tool: ${name}`);
-        }
-      } catch (error) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error: ${error.message}`,
+        {
+          name: 'drip_upsert_order',
+          description: 'Create or update an order (Shopper Activity API): placed, updated, paid, fulfilled, refunded or canceled',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              provider: { type: 'string', description: 'Lower snake case platform identifier (e.g. my_custom_platform)' },
+              email: { type: 'string', description: 'Email address of the shopper (email or person_id required)' },
+              person_id: { type: 'string', description: 'Drip person ID (takes precedence over email)' },
+              action: { type: 'string', enum: ['placed', 'updated', 'paid', 'fulfilled', 'refunded', 'canceled'], description: 'Order action' },
+              order_id: { type: 'string', description: 'Unique internal order ID' },
+              order_public_id: { type: 'string', description: 'Customer-facing order identifier' },
+              occurred_at: { type: 'string', description: 'ISO 8601 timestamp of the order activity' },
+              grand_total: { type: 'number', description: 'Order total after discounts, taxes, fees and shipping' },
+              total_discounts: { type: 'number', description: 'Discounts on the entire order' },
+              total_taxes: { type: 'number', description: 'Taxes on the entire order' },
+              total_fees: { type: 'number', description: 'Fees on the entire order' },
+              total_shipping: { type: 'number', description: 'Shipping on the entire order' },
+              refund_amount: { type: 'number', description: 'Refunded amount (required for refunded orders)' },
+              currency: { type: 'string', description: 'ISO 4217 currency code' },
+              order_url: { type: 'string', description: 'URL linking back to the order' },
+              initial_status: { type: 'string', enum: ['active', 'unsubscribed'], description: 'Status for newly created people' },
+              items: {
+                type: 'array',
+                description: 'Order line items',
+                items: {
+                  type: 'object',
+                  properties: {
+                    product_id: { type: 'string' },
+                    product_variant_id: { type: 'string' },
+                    sku: { type: 'string' },
+                    name: { type: 'string' },
+                    brand: { type: 'string' },
+                    categories: { type: 'array', items: { type: 'string' } },
+                    price: { type: 'number' },
+                    sale_price: { type: 'number' },
+                    quantity: { type: 'number' },
+                    discounts: { type: 'number' },
+                    taxes: { type: 'number' },
+                    fees: { type: 'number' },
+                    shipping: { type: 'number' },
+                    total: { type: 'number' },
+                    product_url: { type: 'string' },
+                    image_url: { type: 'string' },
+                  },
+                  required: ['name'],
+                },
+              },
+              billing_address: { type: 'object', description: 'Billing address (label, first_name, last_name, company, address_1, address_2, city, state, postal_code, country, phone)' },
+              shipping_address: { type: 'object', description: 'Shipping address (label, first_name, last_name, company, address_1, address_2, city, state, postal_code, country, phone)' },
+              check_totals: { type: 'boolean', description: 'Reject the order when line-item totals plus order taxes, fees and shipping, less discounts, do not come to grand_total (default false: warn only)' },
             },
-          ],
-        };
+            required: ['provider', 'action', 'order_id'],
+          },
+        },
+        {
+          name: 'drip_batch_upsert_orders',
+          description: 'Create or update multiple orders at once (sent in batches of 1000)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              orders: {
+                type: 'array',
+                items: { type: 'object' },
+                description: 'Array of order objects, each with the same fields as drip_upsert_order',
+              },
+            },
+            required: ['orders'],
+          },
+        },
+        {
+          name: 'drip_upsert_product',
+          description: 'Create, update or delete a catalog product (Shopper Activity API)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              provider: { type: 'string', description: 'Lower snake case platform identifier (e.g. my_custom_platform)' },
+              action: { type: 'string', enum: ['created', 'updated', 'deleted'], description: 'Product action' },
+              product_id: { type: 'string', description: 'Unique internal product ID' },
+              product_variant_id: { type: 'string', description: 'Variant ID (defaults to product_id)' },
+              sku: { type: 'string', description: 'Product SKU' },
+              name: { type: 'string', description: 'Product name' },
+              brand: { type: 'string', description: 'Brand, vendor or manufacturer' },
+              categories: { type: 'array', items: { type: 'string' }, description: 'Product categories' },
+              price: { type: 'number', description: 'Price of a single product' },
+              currency: { type: 'string', description: 'ISO 4217 currency code (defaults to USD)' },
+              inventory: { type: 'number', description: 'Currently available inventory (integer)' },
+              product_url: { type: 'string', description: 'URL of the product page' },
+              image_url: { type: 'string', description: 'Direct URL to a product image' },
+              occurred_at: { type: 'string', description: 'ISO 8601 timestamp of the product activity' },
+            },
+            required: ['provider', 'action', 'product_id', 'name', 'price'],
+          },
+        },
+        {
+          name: 'drip_batch_upsert_products',
+          description: 'Create, update or delete multiple catalog products at once (sent in batches of 1000)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              products: {
+                type: 'array',
+                items: { type: 'object' },
+                description: 'Array of product objects, each with the same fields as drip_upsert_product',
+              },
+            },
+            required: ['products'],
+          },
+        },
+        {
+          name: 'drip_sync_product_feed',
+          description: 'Sync a local JSON or CSV product feed to the Drip catalog and report how many rows were submitted per action and how many failed',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              file_path: { type: 'string', description: 'Path to the product feed file (.json or .csv), relative to DRIP_PRODUCT_FEED_DIR when that is set' },
+              format: { type: 'string', enum: ['json', 'csv'], description: 'Feed format (inferred from the file extension by default)' },
+              provider: { type: 'string', description: 'Provider applied to rows that do not set one' },
+              action: { type: 'string', enum: ['created', 'updated', 'deleted'], description: 'Action applied to rows that do not set one (default: updated)' },
+            },
+            required: ['file_path'],
+          },
+        },
+        {
+          name: 'drip_list_webhooks',
+          description: 'List all webhooks configured in the Drip account',
+          inputSchema: { type: 'object', properties: {} },
+        },
+        {
+          name: 'drip_get_webhook',
+          description: 'Get webhook by ID',
+          inputSchema: { type: 'object', properties: { webhook_id: { type: 'string' } }, required: ['webhook_id'] },
+        },
+        {
+          name: 'drip_create_webhook',
+          description: 'Create a webhook that posts subscriber events to a URL',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              post_url: { type: 'string', description: 'URL the webhook will post to' },
+              events: {
+                type: 'array',
+                items: { type: 'string', enum: WEBHOOK_EVENTS },
+                description: 'Events to send (defaults to all except subscriber.received_email)',
+              },
+              include_received_email: {
+                type: 'boolean',
+                description: 'Also send subscriber.received_email notifications (high volume)',
+              },
+            },
+            required: ['post_url'],
+          },
+        },
+        {
+          name: 'drip_delete_webhook',
+          description: 'Delete a webhook by ID',
+          inputSchema: { type: 'object', properties: { webhook_id: { type: 'string' } }, required: ['webhook_id'] },
+        },
+        {
+          name: 'drip_list_webhook_events',
+          description: 'List Drip webhook events received by the local webhook listener, most recent first',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              event: {
+                type: 'array',
+                items: { type: 'string', enum: WEBHOOK_EVENTS },
+                description: 'Only include these event types',
+              },
+              email: { type: 'string', description: 'Only include events for this subscriber email' },
+              since: { type: 'string', description: 'ISO 8601 lower bound on occurred_at' },
+              before: { type: 'string', description: 'ISO 8601 upper bound on occurred_at' },
+              limit: { type: 'number', description: 'Maximum events to return (default 100, max 1000)' },
+            },
+          },
+        },
+        {
+          name: 'drip_rate_limit_status',
+          description: 'Show the remaining Drip API request budget for regular (3,600/hour) and batch (50/hour) endpoints, and whether requests are currently being slowed down',
+          inputSchema: { type: 'object', properties: {} },
+        },
+        {
+          name: 'drip_list_accounts',
+          description: 'List the Drip accounts the configured credentials can access. Pass an account ID as account_id to any other tool to act on that account',
+          inputSchema: { type: 'object', properties: {} },
+        },
+        {
+          name: 'drip_get_account',
+          description: 'Get Drip account details',
+          inputSchema: { type: 'object', properties: {} },
+        },
+        {
+          name: 'drip_list_custom_fields',
+          description: 'List custom field identifiers',
+          inputSchema: { type: 'object', properties: {} },
+        },
+      ])))).filter(tool => this.isToolEnabled(tool.name) && (!extra.authInfo || extra.authInfo.scopes.includes(toolScope(tool.name)))),
+    }));
+
+    // Handle tool calls
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      const { name, arguments: args } = request.params;
+      this.requireToolEnabled(name);
+      requireScope(extra.authInfo, toolScope(name), name);
+
+      try {
+        return await this.withAccount(args, async (args) => {
+          switch (name) {
+            // Subscriber operations
+            case 'drip_create_subscriber':
+              return await this.handleCreateSubscriber(args);
+            case 'drip_list_subscribers':
+              return await this.handleListSubscribers(args);
+            case 'drip_get_subscriber':
+              return await this.handleGetSubscriber(args);
+            case 'drip_delete_subscriber':
+              return await this.handleDeleteSubscriber(args);
+            case 'drip_unsubscribe':
+              return await this.handleUnsubscribe(args);
+            case 'drip_tag_subscriber':
+              return await this.handleTagSubscriber(args);
+            case 'drip_remove_tag':
+              return await this.handleRemoveTag(args);
+            case 'drip_list_tags':
+              return await this.handleListTags();
+            case 'drip_track_event':
+              return await this.handleTrackEvent(args);
+            case 'drip_list_event_actions':
+              return await this.handleListEventActions(args);
+            case 'drip_list_campaigns':
+              return await this.handleListCampaigns(args);
+            case 'drip_subscribe_to_campaign':
+              return await this.handleSubscribeToCampaign(args);
+            case 'drip_get_campaign':
+              return await this.handleGetCampaign(args);
+            case 'drip_activate_campaign':
+              return await this.handleActivateCampaign(args);
+            case 'drip_pause_campaign':
+              return await this.handlePauseCampaign(args);
+            case 'drip_list_campaign_subscribers':
+              return await this.handleListCampaignSubscribers(args);
+            case 'drip_list_campaign_subscriptions':
+              return await this.handleListCampaignSubscriptions(args);
+            case 'drip_batch_create_subscribers':
+              return await this.handleBatchCreateSubscribers(args);
+            case 'drip_search_subscribers':
+              return await this.handleSearchSubscribers(args);
+            // Batch operations
+            case 'drip_batch_unsubscribe':
+              return await this.handleBatchUnsubscribe(args);
+            // Unsubscribes analytics
+            case 'drip_recent_unsubscribes':
+              return await this.handleRecentUnsubscribes(args);
+            case 'drip_unsubscribe_stats':
+              return await this.handleUnsubscribeStats(args);
+            // Workflows
+            case 'drip_list_workflows':
+              return await this.handleListWorkflows(args);
+            case 'drip_activate_workflow':
+              return await this.handleActivateWorkflow(args);
+            case 'drip_pause_workflow':
+              return await this.handlePauseWorkflow(args);
+            case 'drip_start_workflow':
+              return await this.handleStartWorkflow(args);
+            case 'drip_remove_from_workflow':
+              return await this.handleRemoveFromWorkflow(args);
+            case 'drip_get_workflow':
+              return await this.handleGetWorkflow(args);
+            case 'drip_list_workflow_triggers':
+              return await this.handleListWorkflowTriggers(args);
+            case 'drip_create_workflow_trigger':
+              return await this.handleCreateWorkflowTrigger(args);
+            case 'drip_update_workflow_trigger':
+              return await this.handleUpdateWorkflowTrigger(args);
+            // Forms
+            case 'drip_list_forms':
+              return await this.handleListForms(args);
+            case 'drip_get_form':
+              return await this.handleGetForm(args);
+            // Broadcasts
+            case 'drip_list_broadcasts':
+              return await this.handleListBroadcasts(args);
+            case 'drip_get_broadcast':
+              return await this.handleGetBroadcast(args);
+            // Conversions & Purchases
+            case 'drip_record_conversion':
+              return await this.handleRecordConversion(args);
+            case 'drip_list_conversions':
+              return await this.handleListConversions(args);
+            case 'drip_get_conversion':
+              return await this.handleGetConversion(args);
+            case 'drip_record_purchase':
+              return await this.handleRecordPurchase(args);
+            // Shopper Activity
+            case 'drip_upsert_cart':
+              return await this.handleUpsertCart(args);
+            case 'drip_batch_upsert_carts':
+              return await this.handleBatchUpsertCarts(args);
+            case 'drip_upsert_order':
+              return await this.handleUpsertOrder(args);
+            case 'drip_batch_upsert_orders':
+              return await this.handleBatchUpsertOrders(args);
+            case 'drip_upsert_product':
+              return await this.handleUpsertProduct(args);
+            case 'drip_batch_upsert_products':
+              return await this.handleBatchUpsertProducts(args);
+            case 'drip_sync_product_feed':
+              return await this.handleSyncProductFeed(args);
+            // Webhooks
+            case 'drip_list_webhooks':
+              return await this.handleListWebhooks();
+            case 'drip_get_webhook':
+              return await this.handleGetWebhook(args);
+            case 'drip_create_webhook':
+              return await this.handleCreateWebhook(args);
+            case 'drip_delete_webhook':
+              return await this.handleDeleteWebhook(args);
+            case 'drip_list_webhook_events':
+              return await this.handleListWebhookEvents(args);
+            // Account & Custom fields
+            case 'drip_rate_limit_status':
+              return await this.handleRateLimitStatus();
+            case 'drip_list_accounts':
+              return await this.handleListAccounts();
+            case 'drip_get_account':
+              return await this.handleGetAccount();
+            case 'drip_list_custom_fields':
+              return await this.handleListCustomFields();
+            default:
+              throw new DripValidationError(`Unknown tool: ${name}`);
+          }
+        }, extra, { dryRunnable: !READ_TOOLS.includes(name) });
+      } catch (error) {
+        if (error instanceof DripCancelledError) reportCancelled(server, name, error);
+        return withAttempts(errorResult(error), error.attempts);
       }
     });
+
+    // Resources: Drip records addressable by drip:// URIs (see resources.js)
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => this.listResourceTemplates());
+    server.setRequestHandler(ListResourcesRequestSchema, async (request, extra) => {
+      requireScope(extra.authInfo, 'read', 'resources/list');
+      return this.listResources(request.params?.cursor);
+    });
+    server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+      requireScope(extra.authInfo, 'read', 'resources/read');
+      return this.readResource(request.params.uri);
+    });
+
+    // Prompts: vetted step-by-step flows built on the tools (see prompts.js)
+    server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: listPrompts() }));
+    server.setRequestHandler(GetPromptRequestSchema, async (request) =>
+      getPrompt(request.params.name, request.params.arguments));
+  }
+
+  // Resource helpers, also used by tests without a transport. Resources are
+  // read from the default account.
+  listResourceTemplates() {
+    return { resourceTemplates: resourceTemplates() };
+  }
+
+  async listResources(cursor) {
+    return this.track(listResources(this.dripClient, cursor));
+  }
+
+  async readResource(uri) {
+    return this.track(readResource(this.dripClient, uri));
+  }
+
+  // One page of a listing, or every page (up to max_records) with fetch_all
+  async listRecords(method, args = {}) {
+    const { fetch_all: fetchAll, max_records: maxRecords, ...params } = args;
+    if (fetchAll) {
+      return this.dripClient.listAll(method, { ...params, max_records: maxRecords }, this.callOptions());
+    }
+    return this.dripClient[method](params);
   }
 
   // Subscriber handlers
   async handleCreateSubscriber(args) {
     const result = await this.dripClient.createOrUpdateSubscriber(args);
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(result, null, 2),
-        },
-      ],
-    };
+    return structuredResult(result, `Saved subscriber ${result.email || args.email}`);
   }
 
   async handleListSubscribers(args) {
-    const result = await this.dripClient.listSubscribers(args);
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(result, null, 2),
-        },
-      ],
-    };
+    const result = await this.listRecords('listSubscribers', args);
+    return structuredResult(result, listSummary(result, 'subscribers', 'subscriber'));
   }
 
   async handleGetSubscriber(args) {
     const result = await this.dripClient.getSubscriber(args.subscriber_id);
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(result, null, 2),
-        },
-      ],
-    };
+    return structuredResult(result, `Subscriber ${result.email || args.subscriber_id} (${result.status || 'unknown status'})`);
   }
 
   async handleDeleteSubscriber(args) {
     const result = await this.dripClient.deleteSubscriber(args.subscriber_id);
-    return {
-      content: [
-        {
-          type: 'text',
-          text: result ? 'Subscriber deleted successfully' : 'Failed to delete subscriber',
-        },
-      ],
-    };
+    return structuredResult(
+      { subscriber_id: args.subscriber_id, deleted: result },
+      result ? 'Subscriber deleted successfully' : 'Failed to delete subscriber'
+    );
   }
 
   async handleUnsubscribe(args) {
@@ -694,200 +1599,388 @@ export class DripMCPServer {
       args.subscriber_id,
       args.campaign_id
     );
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(result, null, 2),
-        },
-      ],
-    };
+    return structuredResult(
+      actionData(result),
+      args.campaign_id
+        ? `Removed ${args.subscriber_id} from campaign ${args.campaign_id}`
+        : `Unsubscribed ${args.subscriber_id} from all mailings`
+    );
   }
 
   async handleTagSubscriber(args) {
+    const warnings = await this.nearMatchWarnings('tag', () => this.dripClient.findSimilarTags(args.tags));
     const result = await this.dripClient.tagSubscriber(args.email, args.tags);
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(result, null, 2),
-        },
-      ],
-    };
+    return structuredResult(actionData(result), `Applied ${plural(args.tags.length, 'tag')} to ${args.email}`, warnings);
   }
 
   async handleRemoveTag(args) {
     const result = await this.dripClient.removeTag(args.email, args.tag);
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(result, null, 2),
-        },
-      ],
-    };
+    return structuredResult(actionData(result), `Removed tag "${args.tag}" from ${args.email}`);
   }
 
   async handleTrackEvent(args) {
+    const warnings = await this.nearMatchWarnings('event action', () => this.dripClient.findSimilarEventActions(args.action));
     const result = await this.dripClient.trackEvent(args);
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(result, null, 2),
-        },
-      ],
-    };
+    return structuredResult(actionData(result), `Recorded "${args.action}" for ${args.email}`, warnings);
+  }
+
+  // Warn (without blocking) when a name is close to, but not the same as, an existing one
+  async nearMatchWarnings(label, findSimilar) {
+    let matches;
+    try {
+      matches = await findSimilar();
+    } catch {
+      // Catalog lookups are advisory; never fail the actual operation over them
+      return [];
+    }
+    return matches.map(({ name, similar }) => ({
+      type: 'text',
+      text: `Warning: ${label} "${name}" is similar to existing ${label}(s) ${similar.map(n => `"${n}"`).join(', ')}. Check for a typo or case mismatch.`,
+    }));
+  }
+
+  async handleListTags() {
+    const result = await this.dripClient.listTags();
+    return structuredResult(result, plural(result.tags?.length ?? 0, 'tag'));
+  }
+
+  async handleListEventActions(args) {
+    const result = await this.listRecords('listEventActions', args);
+    return structuredResult(result, listSummary(result, 'event_actions', 'event action'));
   }
 
   async handleListCampaigns(args) {
-    const result = await this.dripClient.listCampaigns(args);
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(result, null, 2),
-        },
-      ],
-    };
+    const result = await this.listRecords('listCampaigns', args);
+    return structuredResult(result, listSummary(result, 'campaigns', 'campaign'));
   }
 
   async handleSubscribeToCampaign(args) {
     const result = await this.dripClient.subscribeToCampaign(args);
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(result, null, 2),
-        },
-      ],
-    };
+    return structuredResult(actionData(result), `Subscribed ${args.email} to campaign ${args.campaign_id}`);
+  }
+
+  async handleGetCampaign(args) {
+    const result = await this.dripClient.getCampaign(args.campaign_id);
+    const campaign = result.campaigns?.[0] || {};
+    return structuredResult(result, `Campaign "${campaign.name ?? args.campaign_id}" (${campaign.status || 'unknown status'})`);
+  }
+
+  async handleActivateCampaign(args) {
+    const result = await this.dripClient.activateCampaign(args.campaign_id);
+    return structuredResult(actionData(result), `Activated campaign ${args.campaign_id}`);
+  }
+
+  async handlePauseCampaign(args) {
+    const result = await this.dripClient.pauseCampaign(args.campaign_id);
+    return structuredResult(actionData(result), `Paused campaign ${args.campaign_id}`);
+  }
+
+  async handleListCampaignSubscribers(args) {
+    const { campaign_id, ...params } = args;
+    const result = await this.dripClient.listCampaignSubscribers(campaign_id, params, this.callOptions());
+    return structuredResult(result, listSummary(result, 'subscribers', 'subscriber'));
+  }
+
+  async handleListCampaignSubscriptions(args) {
+    const result = await this.dripClient.listSubscriberCampaignSubscriptions(args.subscriber_id);
+    return structuredResult(result, plural(result.campaign_subscriptions?.length ?? 0, 'campaign subscription'));
   }
 
   async handleBatchCreateSubscribers(args) {
-    const result = await this.dripClient.batchCreateSubscribers(args.subscribers);
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(result, null, 2),
-        },
-      ],
-    };
+    const result = await this.dripClient.batchCreateSubscribers(args.subscribers, this.callOptions());
+    const data = batchData(args.subscribers, result);
+    return structuredResult(data, `Sent ${plural(data.records, 'subscriber')} in ${plural(data.chunks, 'batch')}`);
   }
 
   async handleSearchSubscribers(args) {
-    const result = await this.dripClient.searchSubscribers(args);
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(result, null, 2),
-        },
-      ],
-    };
+    const result = await this.dripClient.searchSubscribers(args, this.callOptions());
+    const { matched_count: matched, scanned_count: scanned, complete } = result.meta;
+    return structuredResult(
+      result,
+      `${plural(matched, 'matching subscriber')} out of ${scanned} scanned${complete ? '' : ' (search stopped early, see meta.stop_reason)'}`
+    );
   }
 
   // Batch operations
   async handleBatchUnsubscribe(args) {
-    const result = await this.dripClient.batchUnsubscribe(args.subscribers);
-    return {
-      content: [
-        { type: 'text', text: JSON.stringify(result, null, 2) },
-      ],
-    };
+    const result = await this.dripClient.batchUnsubscribe(args.subscribers, this.callOptions());
+    const data = batchData(args.subscribers, result);
+    return structuredResult(data, `Unsubscribed ${plural(data.records, 'subscriber')} in ${plural(data.chunks, 'batch')}`);
   }
 
   // Unsubscribe analytics
   async handleRecentUnsubscribes(args) {
     const result = await this.dripClient.getRecentUnsubscribes(args);
-    return {
-      content: [
-        { type: 'text', text: JSON.stringify(result, null, 2) },
-      ],
-    };
+    return structuredResult(result, plural(result.subscribers.length, 'recent unsubscribe'));
   }
 
   async handleUnsubscribeStats(args) {
     const result = await this.dripClient.getUnsubscribeStats(args);
-    return {
-      content: [
-        { type: 'text', text: JSON.stringify(result, null, 2) },
-      ],
-    };
+    return structuredResult(
+      result,
+      result.date_range?.start
+        ? `${plural(result.total, 'unsubscribe')} between ${result.date_range.start} and ${result.date_range.end}`
+        : plural(result.total, 'unsubscribe')
+    );
   }
 
   // Workflows
   async handleListWorkflows(args) {
-    const result = await this.dripClient.listWorkflows(args);
-    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    const result = await this.listRecords('listWorkflows', args);
+    return structuredResult(result, listSummary(result, 'workflows', 'workflow'));
   }
   async handleActivateWorkflow(args) {
     const result = await this.dripClient.activateWorkflow(args.workflow_id);
-    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    return structuredResult(actionData(result), `Activated workflow ${args.workflow_id}`);
   }
   async handlePauseWorkflow(args) {
     const result = await this.dripClient.pauseWorkflow(args.workflow_id);
-    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    return structuredResult(actionData(result), `Paused workflow ${args.workflow_id}`);
   }
   async handleStartWorkflow(args) {
     const result = await this.dripClient.startWorkflowForSubscriber(args.workflow_id, args.email);
-    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    return structuredResult(actionData(result), `Started workflow ${args.workflow_id} for ${args.email}`);
   }
   async handleRemoveFromWorkflow(args) {
     const result = await this.dripClient.removeFromWorkflow(args.workflow_id, args.email);
-    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    return structuredResult(actionData(result), `Removed ${args.email} from workflow ${args.workflow_id}`);
+  }
+  async handleGetWorkflow(args) {
+    const result = await this.dripClient.getWorkflow(args.workflow_id);
+    const workflow = result.workflows?.[0] || {};
+    return structuredResult(result, `Workflow "${workflow.name ?? args.workflow_id}" (${workflow.status || 'unknown status'})`);
+  }
+  async handleListWorkflowTriggers(args) {
+    const result = await this.dripClient.listWorkflowTriggers(args.workflow_id);
+    return structuredResult(result, plural(result.triggers?.length ?? 0, 'trigger'));
+  }
+  async handleCreateWorkflowTrigger(args) {
+    const { workflow_id, ...trigger } = args;
+    const result = await this.dripClient.createWorkflowTrigger(workflow_id, trigger);
+    return structuredResult(actionData(result), `Created ${trigger.trigger_type} trigger on workflow ${workflow_id}`);
+  }
+  async handleUpdateWorkflowTrigger(args) {
+    const { workflow_id, trigger_id, ...trigger } = args;
+    const result = await this.dripClient.updateWorkflowTrigger(workflow_id, trigger_id, trigger);
+    return structuredResult(actionData(result), `Updated trigger ${trigger_id} on workflow ${workflow_id}`);
   }
 
   // Forms
   async handleListForms(args) {
-    const result = await this.dripClient.listForms(args);
-    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    const result = await this.listRecords('listForms', args);
+    return structuredResult(result, listSummary(result, 'forms', 'form'));
   }
   async handleGetForm(args) {
     const result = await this.dripClient.getForm(args.form_id);
-    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    const form = result.forms?.[0] || {};
+    return structuredResult(result, `Form "${form.headline ?? args.form_id}"`);
   }
 
   // Broadcasts
   async handleListBroadcasts(args) {
-    const result = await this.dripClient.listBroadcasts(args);
-    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    const result = await this.listRecords('listBroadcasts', args);
+    return structuredResult(result, listSummary(result, 'broadcasts', 'broadcast'));
   }
   async handleGetBroadcast(args) {
     const result = await this.dripClient.getBroadcast(args.broadcast_id);
-    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    const broadcast = result.broadcasts?.[0] || {};
+    return structuredResult(result, `Broadcast "${broadcast.name ?? args.broadcast_id}" (${broadcast.status || 'unknown status'})`);
   }
 
   // Conversions & Purchases
   async handleRecordConversion(args) {
     const result = await this.dripClient.recordConversion(args);
-    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    return structuredResult(actionData(result), `Recorded conversion "${args.action}" for ${args.email}`);
+  }
+  async handleListConversions(args) {
+    const result = await this.listRecords('listConversions', args);
+    return structuredResult(result, listSummary(result, 'goals', 'conversion goal'));
+  }
+  async handleGetConversion(args) {
+    const result = await this.dripClient.getConversion(args.conversion_id);
+    return structuredResult(result, `Conversion goal "${result.name ?? args.conversion_id}" (${result.status || 'unknown status'})`);
   }
   async handleRecordPurchase(args) {
     const result = await this.dripClient.recordPurchase(args);
-    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    return structuredResult(actionData(result), `Recorded purchase for ${args.email}`);
+  }
+
+  // Shopper Activity
+  async handleUpsertCart(args) {
+    const result = await this.dripClient.upsertCart(args);
+    return structuredResult(actionData(result), `Sent cart ${args.cart_id} (${args.action})`);
+  }
+  async handleBatchUpsertCarts(args) {
+    const result = await this.dripClient.batchUpsertCarts(args.carts, this.callOptions());
+    const data = batchData(args.carts, result);
+    return structuredResult(data, `Sent ${plural(data.records, 'cart')} in ${plural(data.chunks, 'batch')}`);
+  }
+  async handleUpsertOrder(args) {
+    const result = await this.dripClient.upsertOrder(args);
+    return structuredResult(actionData(result), `Sent order ${args.order_id} (${args.action})`, this.orderTotalWarnings([args]));
+  }
+  async handleBatchUpsertOrders(args) {
+    const result = await this.dripClient.batchUpsertOrders(args.orders, this.callOptions());
+    const data = batchData(args.orders, result);
+    return structuredResult(
+      data,
+      `Sent ${plural(data.records, 'order')} in ${plural(data.chunks, 'batch')}`,
+      this.orderTotalWarnings(args.orders)
+    );
+  }
+
+  // Orders whose totals don't add up are still sent unless check_totals is set
+  orderTotalWarnings(orders) {
+    return orders
+      .map(order => this.dripClient.orderTotalMismatch(order))
+      .filter(Boolean)
+      .map(mismatch => ({ type: 'text', text: `Warning: ${mismatch}` }));
+  }
+  async handleUpsertProduct(args) {
+    const result = await this.dripClient.upsertProduct(args);
+    return structuredResult(actionData(result), `Sent product ${args.product_id} (${args.action})`);
+  }
+  async handleBatchUpsertProducts(args) {
+    const result = await this.dripClient.batchUpsertProducts(args.products, this.callOptions());
+    const data = batchData(args.products, result);
+    return structuredResult(data, `Sent ${plural(data.records, 'product')} in ${plural(data.chunks, 'batch')}`);
+  }
+  async handleSyncProductFeed(args) {
+    if (!this.productFeedDir && this.httpServer) {
+      throw new DripValidationError('drip_sync_product_feed over HTTP requires DRIP_PRODUCT_FEED_DIR');
+    }
+    const products = await loadProductFeed(args.file_path, args.format, { baseDir: this.productFeedDir });
+    const result = await this.dripClient.syncProductCatalog(products, {
+      provider: args.provider,
+      action: args.action,
+      ...this.callOptions(),
+    });
+    return structuredResult(
+      result,
+      `Submitted ${result.total} feed rows: ${result.submitted_create} to create, ${result.submitted_update} to update, ${result.submitted_delete} to delete, ${result.failed} failed`
+    );
+  }
+
+  // Webhooks
+  async handleListWebhooks() {
+    const result = await this.dripClient.listWebhooks();
+    return structuredResult(result, plural(result.webhooks?.length ?? 0, 'webhook'));
+  }
+  async handleGetWebhook(args) {
+    const result = await this.dripClient.getWebhook(args.webhook_id);
+    return structuredResult(result, `Webhook ${args.webhook_id} posting to ${result.post_url ?? 'unknown URL'}`);
+  }
+  async handleCreateWebhook(args) {
+    const result = await this.dripClient.createWebhook(args);
+    return structuredResult(actionData(result), `Created webhook posting to ${args.post_url}`);
+  }
+  async handleDeleteWebhook(args) {
+    const result = await this.dripClient.deleteWebhook(args.webhook_id);
+    return structuredResult(actionData(result), `Deleted webhook ${args.webhook_id}`);
+  }
+  async handleListWebhookEvents(args) {
+    const result = this.webhookStore.list(args);
+    return structuredResult(result, `${plural(result.meta.returned_count, 'webhook event')} of ${result.meta.total_count} matching`);
   }
 
   // Account & Custom Fields
+  async handleRateLimitStatus() {
+    const result = this.dripClient.getRateLimitStatus();
+    return structuredResult(
+      result,
+      `${result.normal.remaining} of ${result.normal.limit} requests and ${result.batch.remaining} of ${result.batch.limit} batch requests left this hour`
+    );
+  }
+
+  async handleListAccounts() {
+    const result = await this.defaultClient.listAccounts();
+    const data = { ...result, default_account_id: this.defaultClient.accountId };
+    return structuredResult(data, `${plural(result.accounts?.length ?? 0, 'account')}, default ${this.defaultClient.accountId ?? 'not set'}`);
+  }
   async handleGetAccount() {
     const result = await this.dripClient.getAccount();
-    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    return structuredResult(result, result.account ? `Account "${result.account.name}" (${result.account.id})` : 'Configured account not found; listing every account');
   }
   async handleListCustomFields() {
     const result = await this.dripClient.listCustomFields();
-    return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    return structuredResult(result, plural(result.custom_field_identifiers?.length ?? 0, 'custom field'));
+  }
+
+  // Serve over stdio (default) or Streamable HTTP with SSE fallback, see
+  // resolveTransportOptions for the flags and environment variables
+  async run(options = resolveTransportOptions(process.argv.slice(2), process.env)) {
+    this.shutdownTimeoutMs = options.shutdownTimeoutMs;
+
+    if (options.transport === 'http') {
+      // Without a token file anyone who can connect gets every tool, so
+      // that is only allowed on loopback
+      const loopback = ['127.0.0.1', '::1', 'localhost'].includes(options.host);
+      if (!options.tokenFile && !loopback) {
+        throw new Error(`Set DRIP_MCP_TOKEN_FILE (or --token-file) to serve HTTP on ${options.host}`);
+      }
+      const authenticator = options.tokenFile ? TokenAuthenticator.fromFile(options.tokenFile) : null;
+      this.httpServer = new McpHttpServer(() => this.createServer(), {
+        host: options.host,
+        port: options.port,
+        authenticator,
+        allowedHosts: options.allowedHosts,
+        allowedOrigins: options.allowedOrigins,
+      });
+      const address = await this.httpServer.start();
+      const base = `http://${address.address}:${address.port}`;
+      console.error(`Drip MCP server running on ${base}${this.httpServer.path} (SSE: ${base}${this.httpServer.ssePath})`);
+      if (!authenticator) console.error('Warning: no DRIP_MCP_TOKEN_FILE set, HTTP clients are not authenticated');
+    } else {
+      const transport = new StdioServerTransport();
+      await this.server.connect(transport);
+      console.error('Drip MCP server running on stdio');
+    }
+    if (this.toolFilter.mode === 'readonly') {
+      console.error('Read-only mode: tools that change Drip data are disabled');
+    }
+
+    if (process.env.DRIP_WEBHOOK_PORT) {
+      const address = await this.startWebhookReceiver();
+      console.error(`Drip webhook listener on http://${address.address}:${address.port}${this.webhookReceiver.path}`);
+    }
   }
 
-  async run() {
-    const transport = new StdioServerTransport();
-    await this.server.connect(transport);
-    console.error('Drip MCP server running on stdio');
+  // Stop taking requests and wait (up to shutdownTimeoutMs) for in-flight
+  // Drip calls to finish before closing sessions
+  async shutdown(timeoutMs = this.shutdownTimeoutMs ?? 30000) {
+    let unfinished = 0;
+    const drain = async () => { unfinished = await this.drain(timeoutMs); };
+    if (this.httpServer) {
+      await this.httpServer.stop(drain);
+      this.httpServer = null;
+    } else {
+      await drain();
+      await this.server.close();
+    }
+    await this.stopWebhookReceiver();
+    if (unfinished > 0) {
+      console.error(`Shutdown timed out with ${unfinished} Drip call(s) still running`);
+    }
   }
 }
 
 // Start the server if run directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   const server = new DripMCPServer();
-  server.run().catch(console.error);
+  let stopping = false;
+  const stop = (signal) => {
+    if (stopping) return;
+    stopping = true;
+    console.error(`Received ${signal}, shutting down`);
+    server.shutdown().then(() => process.exit(0), (error) => {
+      console.error(error);
+      process.exit(1);
+    });
+  };
+  process.on('SIGINT', () => stop('SIGINT'));
+  process.on('SIGTERM', () => stop('SIGTERM'));
+  server.run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
 }
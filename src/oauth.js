@@ -0,0 +1,105 @@
+import fs from 'fs';
+import axios from 'axios';
+
+const AUTHORIZE_URL = 'https://www.getdrip.com/oauth/authorize';
+const TOKEN_URL = 'https://www.getdrip.com/oauth/token';
+
+export const AUTH_TYPES = ['api_key', 'oauth'];
+
+// URL to send the user to so they can grant the application access.
+// Drip redirects back to redirectUri with ?code=... on approval.
+export function buildAuthorizationUrl({ clientId, redirectUri }) {
+  if (!clientId || !redirectUri) {
+    throw new Error('OAuth client ID and redirect URI are required');
+  }
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+  });
+  return `${AUTHORIZE_URL}?${params}`;
+}
+
+// Exchange an authorization code for an access token. Drip access tokens
+// do not expire, so the result only needs to be stored once.
+export async function exchangeAuthorizationCode({ clientId, clientSecret, code, redirectUri }, axiosModule = axios) {
+  if (!clientId || !clientSecret || !code || !redirectUri) {
+    throw new Error('OAuth client ID, client secret, code and redirect URI are required');
+  }
+
+  // Drip expects the parameters in the query string of the POST
+  const params = new URLSearchParams({
+    response_type: 'token',
+    client_id: clientId,
+    client_secret: clientSecret,
+    code,
+    redirect_uri: redirectUri,
+    grant_type: 'authorization_code',
+  });
+
+  let response;
+  try {
+    response = await axiosModule.post(`${TOKEN_URL}?${params}`, null, {
+      headers: { 'Accept': 'application/json' },
+      timeout: 30000,
+    });
+  } catch (error) {
+    const detail = error.response?.data?.error_description || error.response?.data?.error || error.message;
+    throw new Error(`OAuth token exchange failed: ${detail}`);
+  }
+
+  const token = response.data;
+  if (!token || !token.access_token) {
+    throw new Error('OAuth token exchange failed: response did not include an access_token');
+  }
+  return {
+    access_token: token.access_token,
+    token_type: token.token_type || 'bearer',
+    scope: token.scope || null,
+    created_at: new Date().toISOString(),
+  };
+}
+
+// Persists an OAuth token as JSON. The file is written owner-readable only
+// since the token grants full API access to the authorizing user's accounts.
+export class FileTokenStore {
+  constructor(filePath) {
+    if (!filePath) {
+      throw new Error('Token file path is required');
+    }
+    this.filePath = filePath;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return null;
+    const token = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    return token && token.access_token ? token : null;
+  }
+
+  save(token) {
+    fs.writeFileSync(this.filePath, JSON.stringify(token, null, 2) + '\n', { mode: 0o600 });
+    // `mode` only applies when the file is created; tighten an existing one too
+    fs.chmodSync(this.filePath, 0o600);
+    return token;
+  }
+}
+
+// Work out which credential to use from environment variables.
+// DRIP_AUTH_TYPE=oauth uses DRIP_ACCESS_TOKEN, falling back to the token
+// saved in DRIP_TOKEN_FILE; the default is DRIP_API_KEY (Basic auth).
+export function resolveCredentials(env = process.env) {
+  const authType = env.DRIP_AUTH_TYPE || 'api_key';
+  if (!AUTH_TYPES.includes(authType)) {
+    throw new Error(`Invalid DRIP_AUTH_TYPE "${authType}". Must be one of: ${AUTH_TYPES.join(', ')}`);
+  }
+
+  if (authType === 'oauth') {
+    let accessToken = env.DRIP_ACCESS_TOKEN;
+    if (!accessToken && env.DRIP_TOKEN_FILE) {
+      accessToken = new FileTokenStore(env.DRIP_TOKEN_FILE).load()?.access_token;
+    }
+    return { authType, credential: accessToken };
+  }
+
+  return { authType, credential: env.DRIP_API_KEY };
+}
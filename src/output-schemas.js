@@ -0,0 +1,344 @@
+// JSON Schemas for the structuredContent of every tool (MCP outputSchema).
+// Record schemas list the Drip fields clients are most likely to use; Drip
+// adds fields over time and leaves many of them null, so they allow extra
+// properties and only the envelopes this server builds have required keys.
+
+const string = { type: ['string', 'null'] };
+const number = { type: ['number', 'null'] };
+const integer = { type: ['integer', 'null'] };
+const boolean = { type: ['boolean', 'null'] };
+const id = { type: ['string', 'number'] };
+const stringList = { type: 'array', items: { type: 'string' } };
+const object = { type: ['object', 'null'] };
+
+function record(description, properties) {
+  return { type: 'object', description, properties };
+}
+
+function envelope(properties, required = Object.keys(properties)) {
+  return { type: 'object', properties, required };
+}
+
+function arrayOf(items) {
+  return { type: 'array', items };
+}
+
+// Pagination from Drip (page, count, total_pages, total_count) plus the
+// fields added when fetch_all follows every page
+const PAGE_META = record('Pagination details', {
+  page: integer,
+  count: integer,
+  total_pages: integer,
+  total_count: integer,
+  pages_fetched: integer,
+  returned_count: integer,
+  truncated: boolean,
+});
+
+const SUBSCRIBER = record('Drip subscriber', {
+  id,
+  email: string,
+  status: string,
+  first_name: string,
+  last_name: string,
+  user_id: string,
+  time_zone: string,
+  tags: stringList,
+  custom_fields: object,
+  lead_score: number,
+  base_lead_score: number,
+  lifetime_value: number,
+  created_at: string,
+  href: string,
+});
+
+const CAMPAIGN = record('Drip Email Series Campaign', {
+  id,
+  status: string,
+  name: string,
+  from_name: string,
+  from_email: string,
+  email_count: integer,
+  active_subscriber_count: integer,
+  unsubscribed_subscriber_count: integer,
+  double_optin: boolean,
+  created_at: string,
+  href: string,
+});
+
+const BROADCAST = record('Drip Single-Email Campaign (broadcast)', {
+  id,
+  status: string,
+  name: string,
+  subject: string,
+  from_name: string,
+  from_email: string,
+  send_at: string,
+  created_at: string,
+  href: string,
+});
+
+const WORKFLOW = record('Drip workflow', {
+  id,
+  name: string,
+  status: string,
+  created_at: string,
+  href: string,
+});
+
+const TRIGGER = record('Workflow trigger', {
+  id,
+  provider: string,
+  trigger_type: string,
+  action: string,
+  properties: object,
+  href: string,
+});
+
+const FORM = record('Drip form', {
+  id,
+  headline: string,
+  description: string,
+  button_text: string,
+  confirmation_heading: string,
+  confirmation_text: string,
+  is_embeddable: boolean,
+  created_at: string,
+  href: string,
+});
+
+const CONVERSION = record('Conversion goal', {
+  id,
+  status: string,
+  name: string,
+  url: string,
+  default_value: number,
+  counting_method: string,
+  created_at: string,
+  href: string,
+});
+
+const CAMPAIGN_SUBSCRIPTION = record('Campaign subscription', {
+  id,
+  campaign_id: { type: ['string', 'number', 'null'] },
+  status: string,
+  is_complete: boolean,
+  lap: integer,
+  last_sent_email_index: integer,
+  last_sent_email_at: string,
+});
+
+const WEBHOOK = record('Drip webhook', {
+  id,
+  post_url: string,
+  version: string,
+  include_received_email: boolean,
+  events: stringList,
+  created_at: string,
+  href: string,
+});
+
+const ACCOUNT = record('Drip account', {
+  id,
+  name: string,
+  url: string,
+  default_from_name: string,
+  default_from_email: string,
+  primary_email: string,
+  created_at: string,
+  href: string,
+});
+
+// Calls that change something; Drip often answers with an empty body, in
+// which case the result is { success: true }
+const ACTION = record('Drip response to the request', {
+  success: { type: 'boolean' },
+});
+
+// Batch tools send one request per 1,000 records
+const BATCH = envelope({
+  records: { type: 'integer', description: 'Records submitted' },
+  chunks: { type: 'integer', description: 'Batch requests sent' },
+  responses: arrayOf({ type: 'object', description: 'Drip response to each batch request, in order' }),
+});
+
+const SHOPPER_ACTIVITY = record('Shopper Activity response', {
+  request_id: string,
+});
+
+const RATE_LIMIT_BUCKET = envelope({
+  limit: { type: 'number' },
+  remaining: { type: 'number' },
+  remaining_source: { type: 'string', enum: ['headers', 'estimate'] },
+  sent_last_hour: { type: 'integer' },
+  throttled: { type: 'boolean' },
+  current_wait_ms: { type: 'number' },
+  updated_at: string,
+}, ['limit', 'remaining']);
+
+const WEBHOOK_EVENT = record('Webhook event received by the listener', {
+  event: string,
+  email: string,
+  subscriber_id: { type: ['string', 'number', 'null'] },
+  account_id: { type: ['string', 'number', 'null'] },
+  occurred_at: string,
+  received_at: string,
+  data: object,
+});
+
+// dry_run result of a tool that changes data: the requests it would send
+const DRY_RUN = envelope({
+  dry_run: { type: 'boolean', const: true },
+  requests: arrayOf(envelope({
+    method: { type: 'string', enum: ['POST', 'PUT', 'DELETE'] },
+    path: { type: 'string', description: 'Request path, including the API version and account ID' },
+    body: object,
+    chunk: { type: 'integer', description: 'Batch chunk number (batch tools only)' },
+    chunks: { type: 'integer', description: 'Chunks in the batch' },
+    records: arrayOf({ type: 'integer', description: 'Positions (feed rows for drip_sync_product_feed) of the first and last records in the chunk' }),
+  }, ['method', 'path', 'body'])),
+});
+
+// Tools that change data return either their result or a dry run
+function orDryRun(schema) {
+  return { type: 'object', anyOf: [schema, DRY_RUN] };
+}
+
+function list(key, item, meta = PAGE_META) {
+  return envelope({ [key]: arrayOf(item), meta }, [key]);
+}
+
+export const OUTPUT_SCHEMAS = {
+  // Subscribers
+  drip_create_subscriber: orDryRun(SUBSCRIBER),
+  drip_list_subscribers: list('subscribers', SUBSCRIBER),
+  drip_get_subscriber: SUBSCRIBER,
+  drip_delete_subscriber: orDryRun(envelope({
+    subscriber_id: { type: 'string' },
+    deleted: { type: 'boolean' },
+  })),
+  drip_unsubscribe: orDryRun(SUBSCRIBER),
+  drip_tag_subscriber: orDryRun(ACTION),
+  drip_remove_tag: orDryRun(ACTION),
+  drip_track_event: orDryRun(ACTION),
+  drip_list_tags: envelope({ tags: stringList }),
+  drip_list_event_actions: list('event_actions', { type: 'string' }),
+
+  // Campaigns
+  drip_list_campaigns: list('campaigns', CAMPAIGN),
+  drip_subscribe_to_campaign: orDryRun(SUBSCRIBER),
+  drip_get_campaign: envelope({ campaigns: arrayOf(CAMPAIGN) }),
+  drip_activate_campaign: orDryRun(ACTION),
+  drip_pause_campaign: orDryRun(ACTION),
+  drip_list_campaign_subscribers: list('subscribers', SUBSCRIBER),
+  drip_list_campaign_subscriptions: envelope({ campaign_subscriptions: arrayOf(CAMPAIGN_SUBSCRIPTION) }),
+
+  // Batches and search
+  drip_batch_create_subscribers: orDryRun(BATCH),
+  drip_batch_unsubscribe: orDryRun(BATCH),
+  drip_search_subscribers: list('subscribers', SUBSCRIBER, record('Search statistics', {
+    matched_count: { type: 'integer' },
+    scanned_count: { type: 'integer' },
+    pages_fetched: { type: 'integer' },
+    total_count: { type: 'integer' },
+    complete: { type: 'boolean' },
+    stop_reason: { type: ['string', 'null'], enum: ['limit', 'max_scanned', null] },
+    filters: object,
+  })),
+
+  // Unsubscribe analytics
+  drip_recent_unsubscribes: list('subscribers', SUBSCRIBER, record('Pagination and filter details', {
+    ...PAGE_META.properties,
+    filtered_count: { type: 'integer' },
+    date_range: record('Requested date range', { since: string, before: string }),
+  })),
+  drip_unsubscribe_stats: envelope({
+    total: { type: 'integer' },
+    date_range: record('First and last day with unsubscribes', { start: string, end: string }),
+    by_date: {
+      type: 'object',
+      description: 'Unsubscribes per day (YYYY-MM-DD)',
+      additionalProperties: envelope({
+        count: { type: 'integer' },
+        subscribers: arrayOf(record('Unsubscribed subscriber', { email: string, unsubscribed_at: string })),
+      }),
+    },
+    daily_average: { type: ['string', 'number'] },
+  }, ['total', 'by_date']),
+
+  // Workflows
+  drip_list_workflows: list('workflows', WORKFLOW),
+  drip_activate_workflow: orDryRun(ACTION),
+  drip_pause_workflow: orDryRun(ACTION),
+  drip_start_workflow: orDryRun(ACTION),
+  drip_remove_from_workflow: orDryRun(ACTION),
+  drip_get_workflow: envelope({ workflows: arrayOf(WORKFLOW) }),
+  drip_list_workflow_triggers: envelope({ triggers: arrayOf(TRIGGER) }),
+  drip_create_workflow_trigger: orDryRun(TRIGGER),
+  drip_update_workflow_trigger: orDryRun(TRIGGER),
+
+  // Forms & broadcasts
+  drip_list_forms: list('forms', FORM),
+  drip_get_form: envelope({ forms: arrayOf(FORM) }),
+  drip_list_broadcasts: list('broadcasts', BROADCAST),
+  drip_get_broadcast: envelope({ broadcasts: arrayOf(BROADCAST) }),
+
+  // Conversions & purchases
+  drip_record_conversion: orDryRun(ACTION),
+  drip_list_conversions: list('goals', CONVERSION),
+  drip_get_conversion: CONVERSION,
+  drip_record_purchase: orDryRun(ACTION),
+
+  // Shopper Activity
+  drip_upsert_cart: orDryRun(SHOPPER_ACTIVITY),
+  drip_batch_upsert_carts: orDryRun(BATCH),
+  drip_upsert_order: orDryRun(SHOPPER_ACTIVITY),
+  drip_batch_upsert_orders: orDryRun(BATCH),
+  drip_upsert_product: orDryRun(SHOPPER_ACTIVITY),
+  drip_batch_upsert_products: orDryRun(BATCH),
+  drip_sync_product_feed: orDryRun(envelope({
+    total: { type: 'integer' },
+    submitted_create: { type: 'integer', description: 'Rows sent with action "created" (Drip processes them asynchronously)' },
+    submitted_update: { type: 'integer', description: 'Rows sent with action "updated"' },
+    submitted_delete: { type: 'integer', description: 'Rows sent with action "deleted"' },
+    failed: { type: 'integer', description: 'Rows rejected by validation or in a batch Drip refused' },
+    errors: arrayOf(record('Rows that were not synced', {
+      row: integer,
+      rows: arrayOf({ type: 'integer' }),
+      product_id: { type: ['string', 'number', 'null'] },
+      error: { type: 'string' },
+    })),
+    request_ids: stringList,
+  }, ['total', 'submitted_create', 'submitted_update', 'submitted_delete', 'failed', 'errors'])),
+
+  // Webhooks
+  drip_list_webhooks: envelope({ webhooks: arrayOf(WEBHOOK) }),
+  drip_get_webhook: WEBHOOK,
+  drip_create_webhook: orDryRun(WEBHOOK),
+  drip_delete_webhook: orDryRun(ACTION),
+  drip_list_webhook_events: envelope({
+    events: arrayOf(WEBHOOK_EVENT),
+    meta: envelope({
+      total_count: { type: 'integer' },
+      returned_count: { type: 'integer' },
+      stored_count: { type: 'integer' },
+    }),
+  }),
+
+  // Account & custom fields
+  drip_get_account: record('The configured account, or every account when it is not among them', {
+    account: ACCOUNT,
+    accounts: arrayOf(ACCOUNT),
+  }),
+  drip_list_accounts: envelope({
+    accounts: arrayOf(ACCOUNT),
+    default_account_id: { type: ['string', 'null'] },
+  }, ['accounts']),
+  drip_rate_limit_status: envelope({ normal: RATE_LIMIT_BUCKET, batch: RATE_LIMIT_BUCKET }),
+  drip_list_custom_fields: envelope({ custom_field_identifiers: stringList }),
+};
+
+// Attach each tool's outputSchema to its definition
+export function withOutputSchemas(tools) {
+  return tools.map(tool => (OUTPUT_SCHEMAS[tool.name] ? { ...tool, outputSchema: OUTPUT_SCHEMAS[tool.name] } : tool));
+}
@@ -0,0 +1,142 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DripValidationError } from './errors.js';
+
+// Columns converted from CSV text into the types the product endpoint expects
+const NUMBER_COLUMNS = ['price'];
+const INTEGER_COLUMNS = ['inventory'];
+const LIST_COLUMNS = ['categories'];
+
+// Parse CSV text into rows of cells. Supports quoted cells containing
+// commas, newlines and doubled quotes ("").
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new DripValidationError('CSV feed has an unterminated quoted field');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+function csvRowToProduct(headers, cells) {
+  const product = {};
+  headers.forEach((header, i) => {
+    const raw = (cells[i] ?? '').trim();
+    if (raw === '') return;
+
+    if (NUMBER_COLUMNS.includes(header)) {
+      product[header] = Number(raw);
+    } else if (INTEGER_COLUMNS.includes(header)) {
+      product[header] = Number.isInteger(Number(raw)) ? Number(raw) : raw;
+    } else if (LIST_COLUMNS.includes(header)) {
+      // Multiple categories are pipe-separated within one cell
+      product[header] = raw.split('|').map(v => v.trim()).filter(Boolean);
+    } else {
+      product[header] = raw;
+    }
+  });
+  return product;
+}
+
+export function parseProductFeed(text, format) {
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new DripValidationError(`JSON feed is not valid JSON: ${error.message}`);
+    }
+    const products = Array.isArray(data) ? data : data?.products;
+    if (!Array.isArray(products)) {
+      throw new DripValidationError('JSON feed must be an array of products or an object with a "products" array');
+    }
+    return products;
+  }
+
+  if (format === 'csv') {
+    const [headerRow, ...rows] = parseCsv(text);
+    if (!headerRow) {
+      throw new DripValidationError('CSV feed is empty');
+    }
+    const headers = headerRow.map(h => h.trim());
+    return rows.map(cells => csvRowToProduct(headers, cells));
+  }
+
+  throw new DripValidationError(`Unsupported product feed format: ${format}`);
+}
+
+// Read and parse a feed file. With options.baseDir, relative paths are
+// resolved against it and the file (after following symlinks) must be inside it.
+export async function loadProductFeed(filePath, format, options = {}) {
+  if (!filePath || typeof filePath !== 'string') {
+    throw new DripValidationError('Product feed file path is required');
+  }
+  if (options.baseDir) {
+    filePath = await resolveInside(options.baseDir, filePath);
+  }
+
+  // Infer the format from the file extension unless given explicitly
+  const resolvedFormat = format || path.extname(filePath).slice(1).toLowerCase();
+  if (!['json', 'csv'].includes(resolvedFormat)) {
+    throw new DripValidationError('Product feed must be a .json or .csv file (or pass format explicitly)');
+  }
+
+  const text = await fs.readFile(filePath, 'utf8');
+  return parseProductFeed(text, resolvedFormat);
+}
+
+async function resolveInside(baseDir, filePath) {
+  const outside = () => new DripValidationError(`Product feed must be inside the product feed directory (${baseDir})`);
+  const base = await fs.realpath(baseDir);
+  let resolved;
+  try {
+    resolved = await fs.realpath(path.resolve(base, filePath));
+  } catch {
+    throw new DripValidationError(`Product feed file not found: ${filePath}`);
+  }
+  const relative = path.relative(base, resolved);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw outside();
+  }
+  return resolved;
+}
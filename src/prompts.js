@@ -0,0 +1,125 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function daysAgo(now, days) {
+  return isoDate(new Date(now.getTime() - days * DAY_MS));
+}
+
+// Comma-separated prompt argument (prompt arguments are always strings)
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Prompt templates for common marketing flows. Each one walks the model
+// through the existing tools in a fixed order, so the flow is the same no
+// matter who runs it. `build` receives the validated arguments.
+export const PROMPTS = {
+  onboard_customer: {
+    description: 'Onboard a new customer: create (or update) the subscriber, apply tags and start a workflow',
+    arguments: [
+      { name: 'email', description: "Customer's email address", required: true },
+      { name: 'workflow_id', description: 'Workflow to start for the customer (see drip_list_workflows)', required: true },
+      { name: 'tags', description: 'Comma-separated tags to apply (default: Customer)' },
+      { name: 'first_name', description: "Customer's first name" },
+      { name: 'last_name', description: "Customer's last name" },
+    ],
+    build: (args) => {
+      const tags = splitList(args.tags);
+      const tagList = (tags.length > 0 ? tags : ['Customer']).map(tag => JSON.stringify(tag)).join(', ');
+      const name = [args.first_name, args.last_name].filter(Boolean).join(' ');
+      return [
+        `Onboard ${args.email}${name ? ` (${name})` : ''} as a new customer in Drip. Follow these steps in order and stop at the first failure:`,
+        '',
+        `1. Call drip_get_workflow with workflow_id "${args.workflow_id}" and confirm the workflow exists and is active. If it is not active, stop and report its status instead of activating it.`,
+        `2. Call drip_create_subscriber with email "${args.email}"${args.first_name ? `, first_name "${args.first_name}"` : ''}${args.last_name ? `, last_name "${args.last_name}"` : ''}. This updates the subscriber if they already exist.`,
+        `3. Call drip_tag_subscriber with email "${args.email}" and tags [${tagList}]. If the result warns about near-matching tags, report the warning and do not retry with different tags.`,
+        `4. Call drip_start_workflow with workflow_id "${args.workflow_id}" and email "${args.email}".`,
+        '',
+        'Finish with a short summary: whether the subscriber was new or updated, the tags applied and the workflow started.',
+      ].join('\n');
+    },
+  },
+
+  investigate_unsubscribe: {
+    description: 'Investigate why a subscriber unsubscribed: their record, recent unsubscribes and campaign subscriptions',
+    arguments: [
+      { name: 'email', description: "Subscriber's email address", required: true },
+      { name: 'since', description: 'Start of the period to look at, YYYY-MM-DD (default: 30 days ago)' },
+    ],
+    build: (args, now) => {
+      const since = args.since || daysAgo(now, 30);
+      return [
+        `Investigate why ${args.email} unsubscribed from our Drip emails. Do not change any data; this is read-only.`,
+        '',
+        `1. Call drip_get_subscriber with subscriber_id "${args.email}". Note the status, unsubscribed_at, tags, custom fields and lead score.`,
+        `2. Call drip_list_campaign_subscriptions with subscriber_id "${args.email}" to see which Email Series Campaigns they were in and where each one stopped.`,
+        `3. Call drip_recent_unsubscribes with since "${since}" and check whether ${args.email} is among them and whether other subscribers unsubscribed around the same time.`,
+        `4. Call drip_unsubscribe_stats with since "${since}" to see whether unsubscribes spiked on that day.`,
+        '',
+        'Report: when they unsubscribed, the campaigns or workflows they were in at the time, whether it looks like an isolated case or part of a spike, and any likely cause (for example a campaign sending too often). Say clearly when the data does not support a conclusion.',
+      ].join('\n');
+    },
+  },
+
+  weekly_list_health: {
+    description: 'Weekly list health review: growth, unsubscribes, campaign and workflow status',
+    arguments: [
+      { name: 'since', description: 'Start of the review period, YYYY-MM-DD (default: 7 days ago)' },
+      { name: 'tags', description: 'Comma-separated tags to report on separately (e.g. Customer, Lead)' },
+    ],
+    build: (args, now) => {
+      const since = args.since || daysAgo(now, 7);
+      const tags = splitList(args.tags);
+      const steps = [
+        `1. Call drip_search_subscribers with subscribed_after "${since}" and fetch the new subscribers for the period. Report the count and the most common tags.`,
+        `2. Call drip_unsubscribe_stats with since "${since}" for unsubscribes by day, and drip_recent_unsubscribes with since "${since}" for the individual subscribers.`,
+        '3. Call drip_list_campaigns with status "active" and drip_list_workflows, and list any campaigns or workflows that are paused or in draft.',
+        '4. Call drip_rate_limit_status and mention it if less than 10% of the hourly budget remains.',
+      ];
+      if (tags.length > 0) {
+        steps.push(`5. For each of these tags: ${tags.join(', ')}, call drip_search_subscribers with tags [that tag] and subscribed_after "${since}", and report new subscribers per tag.`);
+      }
+      return [
+        `Prepare the weekly list health review for ${since} to ${isoDate(now)}. This is read-only; do not change any data.`,
+        '',
+        ...steps,
+        '',
+        'Summarise as: net list growth (new minus unsubscribed), unsubscribe rate and any day with an unusual spike, and campaigns or workflows needing attention. Keep it short enough to paste into a team update.',
+      ].join('\n');
+    },
+  },
+};
+
+export function listPrompts() {
+  return Object.entries(PROMPTS).map(([name, prompt]) => ({
+    name,
+    description: prompt.description,
+    arguments: prompt.arguments.map(({ name: argName, description, required }) => ({
+      name: argName, description, required: Boolean(required),
+    })),
+  }));
+}
+
+export function getPrompt(name, args = {}, now = new Date()) {
+  const prompt = PROMPTS[name];
+  if (!prompt) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  }
+  const missing = prompt.arguments.filter(arg => arg.required && !args[arg.name]).map(arg => arg.name);
+  if (missing.length > 0) {
+    throw new McpError(ErrorCode.InvalidParams, `Missing required arguments for ${name}: ${missing.join(', ')}`);
+  }
+  if (args.since && isNaN(new Date(args.since).getTime())) {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid date format for since: ${args.since}`);
+  }
+
+  return {
+    description: prompt.description,
+    messages: [{ role: 'user', content: { type: 'text', text: prompt.build(args, now) } }],
+  };
+}
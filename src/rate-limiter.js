@@ -0,0 +1,155 @@
+import { DripCancelledError, throwIfCancelled } from './errors.js';
+import { parseRetryAfter, sleep } from './retry.js';
+
+// Drip limits each user to 3,600 requests per hour on regular endpoints and
+// 50 per hour on batch endpoints, reporting the remaining budget in the
+// X-RateLimit-Limit / X-RateLimit-Remaining response headers.
+export const RATE_LIMITS = { normal: 3600, batch: 50 };
+
+const WINDOW_MS = 60 * 60 * 1000;
+
+// Below this share of the hourly budget, requests are spaced out evenly
+// instead of being sent as fast as possible
+const LOW_WATER = 0.1;
+
+// Batch endpoints: /subscribers/batches, /events/batches, /unsubscribes/batches
+// (v2) and /shopper_activity/{cart,order,product}/batch (v3)
+export function rateLimitClass(url = '') {
+  const path = url.split('?')[0];
+  return /\/batch(es)?$/.test(path) ? 'batch' : 'normal';
+}
+
+// Tracks the remaining request budget for both endpoint classes and delays
+// requests that would otherwise exceed it. Requests within a class are
+// released one at a time, in order.
+export class RateLimiter {
+  constructor(options = {}) {
+    this.windowMs = options.windowMs ?? WINDOW_MS;
+    this.now = options.now || Date.now;
+    this.sleep = options.sleep || sleep;
+    this.buckets = {};
+    for (const kind of Object.keys(RATE_LIMITS)) {
+      this.buckets[kind] = {
+        limit: options.limits?.[kind] ?? RATE_LIMITS[kind],
+        remaining: null, // unknown until the first response
+        sent: [],        // timestamps of requests released in the last window
+        updatedAt: null,
+        resumeAt: null,  // when an exhausted budget frees up (see update)
+        waitingMs: 0,
+        queue: Promise.resolve(),
+      };
+    }
+  }
+
+  // Resolves once a request of the given class may be sent. Rejects with
+  // DripCancelledError if the signal fires first; a cancelled request
+  // does not use up a slot.
+  acquire(kind = 'normal', signal) {
+    const bucket = this.buckets[kind];
+    const turn = bucket.queue.then(() => this.waitForSlot(bucket, signal));
+    bucket.queue = turn.catch(() => {});
+    if (!signal) return turn;
+    // Stop waiting behind queued requests as soon as the signal fires;
+    // waitForSlot then skips the slot when this request's turn comes
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(new DripCancelledError());
+      signal.addEventListener('abort', onAbort, { once: true });
+      turn.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  async waitForSlot(bucket, signal) {
+    throwIfCancelled(signal);
+    const delay = this.delayFor(bucket);
+    if (delay > 0) {
+      bucket.waitingMs = delay;
+      try {
+        await this.sleep(delay, signal);
+      } finally {
+        bucket.waitingMs = 0;
+      }
+    }
+    // Once an exhausted budget has reset, the reported remaining count is
+    // stale: estimate from the rolling window again
+    if (bucket.remaining !== null && bucket.remaining <= 0) bucket.remaining = null;
+    bucket.resumeAt = null;
+    bucket.sent.push(this.now());
+    if (bucket.remaining !== null) bucket.remaining--;
+  }
+
+  // Milliseconds to wait before the next request in this bucket
+  delayFor(bucket) {
+    const now = this.now();
+    bucket.sent = bucket.sent.filter(t => now - t < this.windowMs);
+
+    const remaining = this.estimateRemaining(bucket);
+    const interval = Math.ceil(this.windowMs / bucket.limit);
+
+    if (remaining <= 0) {
+      const resetAt = bucket.resumeAt ?? this.exhaustedUntil(bucket);
+      return Math.max(resetAt - now, 0);
+    }
+    if (remaining < bucket.limit * LOW_WATER) {
+      return interval;
+    }
+    return 0;
+  }
+
+  // When a budget that just ran out frees up again: once the oldest request
+  // we know of leaves the window. If we have sent none, the budget went on
+  // other clients of the same user, so assume a full window from now.
+  exhaustedUntil(bucket) {
+    const now = this.now();
+    const oldest = bucket.sent.find(t => now - t < this.windowMs);
+    return (oldest ?? now) + this.windowMs;
+  }
+
+  estimateRemaining(bucket) {
+    if (bucket.remaining !== null) return bucket.remaining;
+    return bucket.limit - bucket.sent.length;
+  }
+
+  // Record the budget reported by a response (or a 429)
+  update(kind, status, headers = {}) {
+    const bucket = this.buckets[kind];
+    const limit = Number(headers['x-ratelimit-limit']);
+    const remaining = Number(headers['x-ratelimit-remaining']);
+
+    if (headers['x-ratelimit-limit'] !== undefined && Number.isFinite(limit) && limit > 0) {
+      bucket.limit = limit;
+    }
+    if (headers['x-ratelimit-remaining'] !== undefined && Number.isFinite(remaining)) {
+      bucket.remaining = remaining;
+      bucket.updatedAt = new Date(this.now()).toISOString();
+      // Keep the bucket empty until it resets rather than probing Drip
+      if (remaining <= 0 && bucket.resumeAt === null) bucket.resumeAt = this.exhaustedUntil(bucket);
+    }
+    // A 429 without headers means the budget is used up; one reporting a
+    // remaining budget is the per-subscriber concurrency limit instead
+    if (status === 429 && headers['x-ratelimit-remaining'] === undefined) {
+      bucket.remaining = 0;
+      bucket.updatedAt = new Date(this.now()).toISOString();
+      const retryAfter = parseRetryAfter(headers['retry-after'], this.now());
+      bucket.resumeAt = retryAfter === null ? this.exhaustedUntil(bucket) : this.now() + retryAfter;
+    }
+  }
+
+  status() {
+    const result = {};
+    for (const [kind, bucket] of Object.entries(this.buckets)) {
+      const now = this.now();
+      const sentLastHour = bucket.sent.filter(t => now - t < this.windowMs).length;
+      const remaining = this.estimateRemaining(bucket);
+      result[kind] = {
+        limit: bucket.limit,
+        remaining,
+        remaining_source: bucket.remaining !== null ? 'headers' : 'estimate',
+        sent_last_hour: sentLastHour,
+        throttled: remaining < bucket.limit * LOW_WATER,
+        current_wait_ms: bucket.waitingMs,
+        updated_at: bucket.updatedAt,
+      };
+    }
+    return result;
+  }
+}
@@ -0,0 +1,140 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { DripApiError, describeError } from './errors.js';
+
+// MCP error code for reads of resources that do not exist
+const RESOURCE_NOT_FOUND = -32002;
+
+// Records per resources/list page
+const PAGE_SIZE = 100;
+
+// Resource kinds: URI template, DripClient getter and listing details.
+// Listings walk the kinds in this order, subscribers last since they are
+// usually by far the longest.
+export const RESOURCE_KINDS = {
+  campaign: {
+    uriTemplate: 'drip://campaign/{id}',
+    description: 'An Email Series Campaign',
+    get: async (client, id) => unwrap(await client.getCampaign(id), 'campaigns'),
+    list: (client, page) => client.listCampaigns({ status: 'all', page, per_page: PAGE_SIZE }),
+    key: 'campaigns',
+    identify: campaign => campaign.id,
+    title: campaign => campaign.name,
+  },
+  workflow: {
+    uriTemplate: 'drip://workflow/{id}',
+    description: 'A workflow and its status',
+    get: async (client, id) => unwrap(await client.getWorkflow(id), 'workflows'),
+    list: (client, page) => client.listWorkflows({ status: 'all', page, per_page: PAGE_SIZE }),
+    key: 'workflows',
+    identify: workflow => workflow.id,
+    title: workflow => workflow.name,
+  },
+  broadcast: {
+    uriTemplate: 'drip://broadcast/{id}',
+    description: 'A single-email campaign (broadcast)',
+    get: async (client, id) => unwrap(await client.getBroadcast(id), 'broadcasts'),
+    list: (client, page) => client.listBroadcasts({ status: 'all', page, per_page: PAGE_SIZE }),
+    key: 'broadcasts',
+    identify: broadcast => broadcast.id,
+    title: broadcast => broadcast.name || broadcast.subject,
+  },
+  subscriber: {
+    uriTemplate: 'drip://subscriber/{email}',
+    description: 'A subscriber record with custom fields and tags (email address or subscriber ID)',
+    get: (client, email) => client.getSubscriber(email),
+    list: (client, page) => client.listSubscribers({ status: 'all', page, per_page: PAGE_SIZE }),
+    key: 'subscribers',
+    identify: subscriber => subscriber.email,
+    title: subscriber => subscriber.email,
+  },
+};
+
+const KIND_ORDER = Object.keys(RESOURCE_KINDS);
+
+// Drip wraps single records in a one-element array ({ campaigns: [...] })
+function unwrap(data, key) {
+  return data?.[key]?.[0] || data;
+}
+
+export function resourceTemplates() {
+  return Object.entries(RESOURCE_KINDS).map(([kind, def]) => ({
+    uriTemplate: def.uriTemplate,
+    name: kind,
+    description: def.description,
+    mimeType: 'application/json',
+  }));
+}
+
+export function resourceUri(kind, id) {
+  return `drip://${kind}/${encodeURIComponent(id)}`;
+}
+
+export function parseResourceUri(uri) {
+  const match = /^drip:\/\/([a-z]+)\/([^/]+)$/.exec(uri || '');
+  if (!match || !RESOURCE_KINDS[match[1]]) {
+    throw new McpError(ErrorCode.InvalidParams, `Unsupported resource URI: ${uri}`);
+  }
+  let id;
+  try {
+    id = decodeURIComponent(match[2]);
+  } catch {
+    throw new McpError(ErrorCode.InvalidParams, `Malformed resource URI: ${uri}`);
+  }
+  return { kind: match[1], id };
+}
+
+// Cursors are opaque to clients: base64 of the kind and Drip page to fetch next
+function encodeCursor(kind, page) {
+  return Buffer.from(JSON.stringify({ kind, page })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { kind, page } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (RESOURCE_KINDS[kind] && Number.isInteger(page) && page >= 1) return { kind, page };
+  } catch {
+    // Fall through to the error below
+  }
+  throw new McpError(ErrorCode.InvalidParams, 'Invalid resources/list cursor');
+}
+
+// One page of resources/list: a single Drip page of one kind, with a cursor
+// to the next page (or the first page of the next kind)
+export async function listResources(client, cursor) {
+  const { kind, page } = cursor ? decodeCursor(cursor) : { kind: KIND_ORDER[0], page: 1 };
+  const def = RESOURCE_KINDS[kind];
+  const data = await def.list(client, page);
+
+  const resources = (data?.[def.key] || []).map(record => ({
+    uri: resourceUri(kind, def.identify(record)),
+    name: def.title(record) || String(def.identify(record)),
+    description: record.status ? `${kind} (${record.status})` : kind,
+    mimeType: 'application/json',
+  }));
+
+  let nextCursor;
+  if (page < (data?.meta?.total_pages || 1)) {
+    nextCursor = encodeCursor(kind, page + 1);
+  } else if (KIND_ORDER.indexOf(kind) < KIND_ORDER.length - 1) {
+    nextCursor = encodeCursor(KIND_ORDER[KIND_ORDER.indexOf(kind) + 1], 1);
+  }
+
+  return nextCursor ? { resources, nextCursor } : { resources };
+}
+
+export async function readResource(client, uri) {
+  const { kind, id } = parseResourceUri(uri);
+  let record;
+  try {
+    record = await RESOURCE_KINDS[kind].get(client, id);
+  } catch (error) {
+    if (error instanceof DripApiError && error.status === 404) {
+      throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+    }
+    throw new McpError(ErrorCode.InternalError, error.message, describeError(error));
+  }
+
+  return {
+    contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(record, null, 2) }],
+  };
+}
@@ -0,0 +1,96 @@
+import { DripCancelledError } from './errors.js';
+
+export const DEFAULT_RETRY_POLICY = {
+  retries: 3,          // additional attempts after the first
+  baseDelayMs: 1000,   // first backoff, doubled on each attempt
+  maxDelayMs: 30000,   // cap for backoff and Retry-After
+};
+
+// POST endpoints that create-or-update, so repeating them cannot create
+// duplicates: subscribers and Shopper Activity carts, orders and products.
+// v2 paths are relative to the account (or absolute URLs); anchoring them
+// keeps /campaigns/:id/subscribers and /workflows/:id/subscribers out.
+const ACCOUNT_V2 = '^(https://api\\.getdrip\\.com/v2/[^/]+)?';
+const UPSERT_PATHS = [
+  new RegExp(`${ACCOUNT_V2}/subscribers$`),
+  new RegExp(`${ACCOUNT_V2}/subscribers/batches$`),
+  /\/shopper_activity\/(cart|order|product)(\/batch)?$/,
+];
+
+// Transient network failures worth another attempt
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+// Whether a request may be sent again without side effects. Requests can opt
+// in or out explicitly with `idempotent` in their axios config; otherwise
+// GETs, PUTs and upserts are safe, while deletes and other POSTs (event
+// recording, campaign subscriptions) are not.
+export function isSafeToRetry(config = {}) {
+  if (typeof config.idempotent === 'boolean') return config.idempotent;
+
+  const method = (config.method || 'get').toLowerCase();
+  if (method === 'get' || method === 'put') return true;
+  if (method !== 'post') return false;
+
+  const path = (config.url || '').split('?')[0];
+  return UPSERT_PATHS.some(pattern => pattern.test(path));
+}
+
+export function isRetryableError(error) {
+  if (error.response) {
+    const status = error.response.status;
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Delay before retry number `attempt` (1-based): Retry-After when the server
+// sends one, otherwise exponential backoff with jitter (half fixed, half random)
+export function retryDelay(policy, attempt, error, random = Math.random) {
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, policy.maxDelayMs);
+  }
+  const backoff = Math.min(policy.baseDelayMs * 2 ** (attempt - 1), policy.maxDelayMs);
+  return Math.round(backoff / 2 + random() * backoff / 2);
+}
+
+// setTimeout as a promise that rejects with DripCancelledError as soon as
+// the signal fires
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new DripCancelledError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DripCancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Retry policy from DRIP_RETRY_* environment variables (DRIP_RETRY_MAX=0 disables)
+export function retryPolicyFromEnv(env = process.env) {
+  const policy = { ...DEFAULT_RETRY_POLICY };
+  if (env.DRIP_RETRY_MAX !== undefined) policy.retries = Number(env.DRIP_RETRY_MAX);
+  if (env.DRIP_RETRY_BASE_DELAY_MS !== undefined) policy.baseDelayMs = Number(env.DRIP_RETRY_BASE_DELAY_MS);
+  if (env.DRIP_RETRY_MAX_DELAY_MS !== undefined) policy.maxDelayMs = Number(env.DRIP_RETRY_MAX_DELAY_MS);
+
+  for (const [key, value] of Object.entries(policy)) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Invalid retry setting ${key}: must be a non-negative integer`);
+    }
+  }
+  return policy;
+}
@@ -0,0 +1,187 @@
+import { DripValidationError } from './errors.js';
+
+// Filters for searchSubscribers. Drip's GET /subscribers only filters by
+// status, tags (any of) and subscribed_before/after; everything else is
+// matched locally against each page as it streams in.
+
+export const CUSTOM_FIELD_OPERATORS = [
+  'eq', 'neq', 'contains', 'starts_with', 'ends_with', 'in', 'gt', 'gte', 'lt', 'lte', 'exists', 'not_exists',
+];
+
+const SUBSCRIBER_STATUSES = ['all', 'active', 'unsubscribed', 'active_or_unsubscribed', 'undeliverable'];
+
+function parseDateParam(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new DripValidationError(`Invalid date format for ${name}: ${value}`);
+  }
+  return date;
+}
+
+function parseNumberParam(value, name) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new DripValidationError(`${name} must be a number`);
+  }
+  return value;
+}
+
+// Normalise custom field predicates. `custom_field_filters` ({ field: value })
+// is shorthand for equality predicates.
+function customFieldPredicates(params) {
+  const predicates = [];
+
+  for (const [field, value] of Object.entries(params.custom_field_filters || {})) {
+    predicates.push({ field, op: 'eq', value });
+  }
+
+  for (const predicate of params.custom_fields || []) {
+    if (!predicate || typeof predicate.field !== 'string' || predicate.field.trim() === '') {
+      throw new DripValidationError('Each custom field predicate needs a field name');
+    }
+    const op = predicate.op || 'eq';
+    if (!CUSTOM_FIELD_OPERATORS.includes(op)) {
+      throw new DripValidationError(`Invalid custom field operator "${op}". Must be one of: ${CUSTOM_FIELD_OPERATORS.join(', ')}`);
+    }
+    if (op === 'in' && !Array.isArray(predicate.value)) {
+      throw new DripValidationError(`Custom field operator "in" needs an array value (field ${predicate.field})`);
+    }
+    if (!['exists', 'not_exists'].includes(op) && predicate.value === undefined) {
+      throw new DripValidationError(`Custom field predicate on ${predicate.field} needs a value`);
+    }
+    predicates.push({ field: predicate.field, op, value: predicate.value });
+  }
+
+  return predicates;
+}
+
+// Compare as numbers when both sides look numeric (custom fields are
+// stored as strings), otherwise as case-insensitive strings
+function compareValues(actual, expected) {
+  const a = Number(actual);
+  const b = Number(expected);
+  if (actual !== '' && expected !== '' && Number.isFinite(a) && Number.isFinite(b)) {
+    return a - b;
+  }
+  return String(actual).toLowerCase().localeCompare(String(expected).toLowerCase());
+}
+
+function matchesPredicate(customFields, { field, op, value }) {
+  const actual = customFields?.[field];
+  const present = actual !== undefined && actual !== null && actual !== '';
+
+  if (op === 'exists') return present;
+  if (op === 'not_exists') return !present;
+  if (op === 'neq') return !present || compareValues(actual, value) !== 0;
+  if (!present) return false;
+
+  const text = String(actual).toLowerCase();
+  switch (op) {
+    case 'eq': return compareValues(actual, value) === 0;
+    case 'contains': return text.includes(String(value).toLowerCase());
+    case 'starts_with': return text.startsWith(String(value).toLowerCase());
+    case 'ends_with': return text.endsWith(String(value).toLowerCase());
+    case 'in': return value.some(v => compareValues(actual, v) === 0);
+    case 'gt': return compareValues(actual, value) > 0;
+    case 'gte': return compareValues(actual, value) >= 0;
+    case 'lt': return compareValues(actual, value) < 0;
+    case 'lte': return compareValues(actual, value) <= 0;
+    default: return false;
+  }
+}
+
+// Split search params into the query Drip can apply and a local matcher
+// for the rest. `filters` lists what each side handles, for the result meta.
+export function buildSubscriberSearch(params = {}) {
+  const query = new URLSearchParams();
+  const serverFilters = [];
+  const localFilters = [];
+  const checks = [];
+
+  if (params.status) {
+    if (!SUBSCRIBER_STATUSES.includes(params.status)) {
+      throw new DripValidationError(`Invalid status "${params.status}". Must be one of: ${SUBSCRIBER_STATUSES.join(', ')}`);
+    }
+    query.append('status', params.status);
+    serverFilters.push('status');
+  }
+
+  // Drip returns subscribers with ANY of the tags; requiring all of them
+  // (the default) is checked locally on the narrowed result
+  const tags = params.tags || [];
+  const tagMatch = params.tag_match || 'all';
+  if (!['all', 'any'].includes(tagMatch)) {
+    throw new DripValidationError('tag_match must be "all" or "any"');
+  }
+  if (tags.length > 0) {
+    query.append('tags', tags.join(','));
+    serverFilters.push('tags');
+    if (tagMatch === 'all' && tags.length > 1) {
+      const wanted = tags.map(t => t.toLowerCase());
+      checks.push(sub => {
+        const subTags = (sub.tags || []).map(t => t.toLowerCase());
+        return wanted.every(tag => subTags.includes(tag));
+      });
+      localFilters.push('tags (all)');
+    }
+  }
+
+  // Drip's subscribed_before/after compare against the creation date, so
+  // created_before/after are also used to narrow the request and then
+  // applied exactly to created_at
+  const subscribedAfter = parseDateParam(params.subscribed_after, 'subscribed_after');
+  const subscribedBefore = parseDateParam(params.subscribed_before, 'subscribed_before');
+  const createdAfter = parseDateParam(params.created_after, 'created_after');
+  const createdBefore = parseDateParam(params.created_before, 'created_before');
+  const after = subscribedAfter || createdAfter;
+  const before = subscribedBefore || createdBefore;
+  if (after) {
+    query.append('subscribed_after', after.toISOString());
+    serverFilters.push('subscribed_after');
+  }
+  if (before) {
+    query.append('subscribed_before', before.toISOString());
+    serverFilters.push('subscribed_before');
+  }
+  if (createdAfter || createdBefore) {
+    checks.push(sub => {
+      const created = new Date(sub.created_at);
+      if (isNaN(created.getTime())) return false;
+      return (!createdAfter || created >= createdAfter) && (!createdBefore || created <= createdBefore);
+    });
+    localFilters.push('created_at');
+  }
+
+  if (params.sort) query.append('sort', params.sort);
+  if (params.direction) query.append('direction', params.direction);
+
+  if (params.email) {
+    const email = params.email.toLowerCase();
+    checks.push(sub => (sub.email || '').toLowerCase().includes(email));
+    localFilters.push('email');
+  }
+
+  const minScore = parseNumberParam(params.lead_score_min, 'lead_score_min');
+  const maxScore = parseNumberParam(params.lead_score_max, 'lead_score_max');
+  if (minScore !== null || maxScore !== null) {
+    checks.push(sub => {
+      const score = Number(sub.lead_score);
+      if (sub.lead_score === undefined || sub.lead_score === null || !Number.isFinite(score)) return false;
+      return (minScore === null || score >= minScore) && (maxScore === null || score <= maxScore);
+    });
+    localFilters.push('lead_score');
+  }
+
+  const predicates = customFieldPredicates(params);
+  if (predicates.length > 0) {
+    checks.push(sub => predicates.every(p => matchesPredicate(sub.custom_fields, p)));
+    localFilters.push(...predicates.map(p => `custom_fields.${p.field} ${p.op}`));
+  }
+
+  return {
+    query,
+    matches: (subscriber) => checks.every(check => check(subscriber)),
+    filters: { server: serverFilters, local: localFilters },
+  };
+}
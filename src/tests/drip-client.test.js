@@ -1,8 +1,11 @@
 #!/usr/bin/env node
 import { DripClient } from '../drip-client.js';
+import { DripApiError, DripCancelledError } from '../errors.js';
+import { RateLimiter } from '../rate-limiter.js';
 import { FakeAxios, assert, lastCall } from './helpers.js';
 
 async function run() {
+  let threw = false;
   const fx = new FakeAxios();
   const apiKey = 'test_key';
   const accountId = '123';
@@ -41,6 +44,21 @@ async function run() {
   await client.removeTag('a@b.com', 'y');
   assert(lastCall(fx, 'delete', '/subscribers/a%40b.com/tags/y'), 'DELETE tag not called');
 
+  // Tags & event actions catalogs
+  fx.on('GET', '/tags', () => ({ status: 200, data: { tags: ['Customer', 'SEO'] } }));
+  await client.listTags();
+  assert(lastCall(fx, 'get', '/tags'), 'GET /tags not called');
+
+  fx.on('GET', '/event_actions?page=1&per_page=1000', () => ({ status: 200, data: { event_actions: ['Started a trial'], meta: { total_pages: 1 } } }));
+  await client.listEventActions({ page: 1, per_page: 1000 });
+  assert(lastCall(fx, 'get', '/event_actions?page=1&per_page=1000'), 'GET /event_actions not called');
+
+  const tagWarnings = await client.findSimilarTags(['customer', 'SEO', 'Brand new']);
+  assert(tagWarnings.length === 1 && tagWarnings[0].similar[0] === 'Customer', 'Near-match tag warning incorrect');
+  const actionWarnings = await client.findSimilarEventActions('Started a trail');
+  assert(actionWarnings.length === 1 && actionWarnings[0].similar[0] === 'Started a trial', 'Near-match event action warning incorrect');
+  assert((await client.findSimilarEventActions('Started a trial')).length === 0, 'Exact event action should not warn');
+
   // Events
   fx.on('POST', '/events', () => ({ status: 204, data: {} }));
   await client.trackEvent({ email: 'a@b.com', action: 'Did X', properties: { value: 1 }, occurred_at: new Date().toISOString() });
@@ -51,16 +69,172 @@ async function run() {
   await client.recordConversion({ email: 'a@b.com', action: 'Purchased', occurred_at: new Date().toISOString() });
   assert(lastCall(fx, 'post', '/conversions'), 'POST /conversions not called');
 
+  fx.on('GET', '/goals?status=all', () => ({ status: 200, data: { goals: [{ id: 'g1', name: 'Trial Signup' }] } }));
+  await client.listConversions({ status: 'all' });
+  assert(lastCall(fx, 'get', '/goals?status=all'), 'GET /goals not called');
+
+  fx.on('GET', '/goals/g1', () => ({ status: 200, data: { goals: [{ id: 'g1', name: 'Trial Signup' }] } }));
+  assert((await client.getConversion('g1')).name === 'Trial Signup', 'GET /goals/:id not unwrapped');
+
+  // check_goal looks through every page of goals
+  fx.on('GET', '/goals?status=all&page=1&per_page=1000', () => ({ status: 200, data: { goals: [{ id: 'g0', name: 'Newsletter' }], meta: { page: 1, total_pages: 2 } } }));
+  fx.on('GET', '/goals?status=all&page=2&per_page=1000', () => ({ status: 200, data: { goals: [{ id: 'g1', name: 'Trial Signup' }], meta: { page: 2, total_pages: 2 } } }));
+  await client.recordConversion({ email: 'a@b.com', action: 'Trial Signup', check_goal: true });
+  assert(lastCall(fx, 'get', '/goals?status=all&page=2'), 'Goals on later pages should be fetched');
+  assert(!('check_goal' in lastCall(fx, 'post', '/conversions').data.conversions[0]), 'check_goal should not be sent to Drip');
+
+  threw = false;
+  try {
+    await client.recordConversion({ email: 'a@b.com', action: 'Trial Sigup', check_goal: true });
+  } catch (e) { threw = e.message.includes('Did you mean "Trial Signup"'); }
+  assert(threw, 'recordConversion should reject unknown goal names with a suggestion');
+
   // Purchases
   fx.on('POST', '/purchases', () => ({ status: 204, data: {} }));
   await client.recordPurchase({ email: 'a@b.com', amount: 12.34, occurred_at: new Date().toISOString() });
   assert(lastCall(fx, 'post', '/purchases'), 'POST /purchases not called');
 
+  // Shopper Activity: carts
+  const cart = {
+    provider: 'my_store',
+    email: 'a@b.com',
+    action: 'created',
+    cart_id: 'cart1',
+    cart_url: 'https://shop.example.com/cart/cart1',
+    items: [{ product_id: 'p1', product_variant_id: 'p1', name: 'Bottle', price: 9.99, quantity: 1 }],
+  };
+  fx.on('POST', 'https://api.getdrip.com/v3/123/shopper_activity/cart', () => ({ status: 202, data: { request_id: 'r1' } }));
+  await client.upsertCart(cart);
+  assert(lastCall(fx, 'post', '/v3/123/shopper_activity/cart').data.cart_id === 'cart1', 'POST v3 cart not called');
+
+  fx.on('POST', 'https://api.getdrip.com/v3/123/shopper_activity/cart/batch', () => ({ status: 202, data: { request_ids: [] } }));
+  const cartCount = fx.calls.length;
+  await client.batchUpsertCarts(Array.from({ length: 1001 }, (_, i) => ({ ...cart, cart_id: `c${i}` })));
+  const cartBatches = fx.calls.slice(cartCount).filter(c => c.path.endsWith('/shopper_activity/cart/batch'));
+  assert(cartBatches.length === 2 && cartBatches[0].data.carts.length === 1000, 'Cart batches should be chunked at 1000');
+
+  threw = false;
+  try { await client.upsertCart({ ...cart, action: 'abandoned' }); } catch (e) { threw = true; }
+  assert(threw, 'upsertCart should throw for invalid action');
+
+  // Shopper Activity: orders
+  const order = {
+    provider: 'my_store',
+    email: 'a@b.com',
+    action: 'placed',
+    order_id: 'o1',
+    grand_total: 25.5,
+    items: [{ name: 'Bottle', price: 10, quantity: 2, total: 20 }, { name: 'Cap', price: 5.5, total: 5.5 }],
+  };
+  fx.on('POST', 'https://api.getdrip.com/v3/123/shopper_activity/order', () => ({ status: 202, data: { request_id: 'r2' } }));
+  await client.upsertOrder(order);
+  assert(lastCall(fx, 'post', '/v3/123/shopper_activity/order').data.order_id === 'o1', 'POST v3 order not called');
+
+  fx.on('POST', 'https://api.getdrip.com/v3/123/shopper_activity/order/batch', () => ({ status: 202, data: { request_ids: [] } }));
+  await client.batchUpsertOrders([order, { ...order, order_id: 'o2', action: 'refunded', refund_amount: 25.5 }]);
+  assert(lastCall(fx, 'post', '/shopper_activity/order/batch').data.orders.length === 2, 'POST v3 order batch not called');
+
+  // Drip's documented example doesn't add up (23.99 + 1 + 2 + 5 - 5.34 vs
+  // 22.99), so a mismatch only blocks the order when check_totals is set
+  const documentedOrder = {
+    provider: 'my_custom_platform',
+    email: 'user@gmail.com',
+    action: 'placed',
+    occurred_at: '2019-01-17T20:50:00Z',
+    order_id: '456445746',
+    order_public_id: '#5',
+    grand_total: 22.99,
+    total_discounts: 5.34,
+    total_taxes: 1.00,
+    total_fees: 2.00,
+    total_shipping: 5.00,
+    currency: 'USD',
+    order_url: 'https://mysuperstore.com/order/456445746',
+    items: [{
+      product_id: 'B01J4SWO1G',
+      product_variant_id: 'B01J4SWO1G-CW-BOTT',
+      sku: 'XHB-1234',
+      name: 'The Coolest Water Bottle',
+      brand: 'Drip',
+      categories: ['Accessories'],
+      price: 11.16,
+      sale_price: 10.16,
+      quantity: 2,
+      discounts: 5.34,
+      taxes: 1.00,
+      fees: 0.50,
+      shipping: 5.00,
+      total: 23.99,
+      product_url: 'https://mysuperstore.com/dp/B01J4SWO1G',
+      image_url: 'https://www.getdrip.com/images/example_products/water_bottle.png',
+      product_tag: 'Best Seller',
+    }],
+    billing_address: { label: 'Primary Billing', first_name: 'Bill', last_name: 'Billington', address_1: '123 Bill St.', city: 'Billtown', state: 'CA', postal_code: '01234', country: 'United States' },
+    shipping_address: { label: 'Downtown Office', first_name: 'Ship', last_name: 'Shipington', address_1: '123 Ship Street', city: 'Shipville', state: 'CA', postal_code: '01234', country: 'United States' },
+  };
+  await client.upsertOrder(documentedOrder);
+  assert(lastCall(fx, 'post', '/v3/123/shopper_activity/order').data.order_id === '456445746', 'Documented example order should be accepted');
+  assert(client.orderTotalMismatch(documentedOrder).includes('come to 26.65 but grand_total is 22.99'), 'Documented example mismatch not reported');
+
+  const withOrderAmounts = { ...order, grand_total: 27.5, total_taxes: 2.5, total_shipping: 4, total_discounts: 4.5 };
+  assert(client.orderTotalMismatch(withOrderAmounts) === null, 'Order-level taxes, shipping and discounts should count toward the total');
+  assert(client.orderTotalMismatch({ ...order, grand_total: 25.51 }) === null, 'A one-cent rounding difference should be tolerated');
+
+  threw = false;
+  const callsBeforeMismatch = fx.calls.length;
+  try { await client.upsertOrder({ ...order, grand_total: 30, check_totals: true }); } catch (e) { threw = e.message.includes('grand_total is 30.00'); }
+  assert(threw && fx.calls.length === callsBeforeMismatch, 'check_totals should reject mismatched line-item totals before sending');
+  await client.upsertOrder({ ...order, check_totals: true });
+  assert(!('check_totals' in lastCall(fx, 'post', '/v3/123/shopper_activity/order').data), 'check_totals should not be sent to Drip');
+
+  threw = false;
+  try { await client.upsertOrder({ ...order, action: 'refunded' }); } catch (e) { threw = true; }
+  assert(threw, 'upsertOrder should require refund_amount for refunds');
+
+  // Shopper Activity: products
+  const product = { provider: 'my_store', action: 'created', product_id: 'p1', name: 'Bottle', price: 11.16, inventory: 4 };
+  fx.on('POST', 'https://api.getdrip.com/v3/123/shopper_activity/product', () => ({ status: 202, data: { request_id: 'r3' } }));
+  await client.upsertProduct(product);
+  assert(lastCall(fx, 'post', '/v3/123/shopper_activity/product').data.product_variant_id === 'p1', 'POST v3 product should default variant to product_id');
+
+  fx.on('POST', 'https://api.getdrip.com/v3/123/shopper_activity/product/batch', () => ({ status: 202, data: { request_ids: ['r4'] } }));
+  await client.batchUpsertProducts([product]);
+  assert(lastCall(fx, 'post', '/shopper_activity/product/batch').data.products.length === 1, 'POST v3 product batch not called');
+
+  const sync = await client.syncProductCatalog([
+    product,
+    { product_id: 'p2', name: 'Cap', price: 5 },
+    { product_id: 'p3', name: 'Bad', price: -1 },
+  ], { provider: 'my_store' });
+  assert(sync.submitted_create === 1 && sync.submitted_update === 1 && sync.failed === 1, 'syncProductCatalog counts incorrect');
+  assert(sync.errors[0].row === 2 && sync.request_ids[0] === 'r4', 'syncProductCatalog should report failed rows and request ids');
+
   // Campaigns
   fx.on('GET', '/campaigns?page=1&per_page=5', () => ({ status: 200, data: { campaigns: [] } }));
   await client.listCampaigns({ page: 1, per_page: 5 });
   assert(lastCall(fx, 'get', '/campaigns?page=1&per_page=5'), 'GET /campaigns not called');
 
+  fx.on('GET', '/campaigns/c1', () => ({ status: 200, data: { campaigns: [{ id: 'c1' }] } }));
+  await client.getCampaign('c1');
+  assert(lastCall(fx, 'get', '/campaigns/c1'), 'GET /campaigns/:id not called');
+
+  fx.on('POST', '/campaigns/c1/activate', () => ({ status: 204, data: {} }));
+  await client.activateCampaign('c1');
+  assert(lastCall(fx, 'post', '/campaigns/c1/activate'), 'POST activate campaign not called');
+
+  fx.on('POST', '/campaigns/c1/pause', () => ({ status: 204, data: {} }));
+  await client.pauseCampaign('c1');
+  assert(lastCall(fx, 'post', '/campaigns/c1/pause'), 'POST pause campaign not called');
+
+  fx.on('GET', '/campaigns/c1/subscribers?page=1&per_page=1000', () => ({ status: 200, data: { subscribers: [{ email: 'a@b.com' }], meta: { total_pages: 2, total_count: 2 } } }));
+  fx.on('GET', '/campaigns/c1/subscribers?page=2&per_page=1000', () => ({ status: 200, data: { subscribers: [{ email: 'c@d.com' }], meta: { total_pages: 2, total_count: 2 } } }));
+  const campaignSubs = await client.listCampaignSubscribers('c1');
+  assert(campaignSubs.subscribers.length === 2 && campaignSubs.meta.pages_fetched === 2, 'Campaign subscribers should follow pagination');
+
+  fx.on('GET', '/subscribers/a%40b.com/campaign_subscriptions', () => ({ status: 200, data: { campaign_subscriptions: [] } }));
+  await client.listSubscriberCampaignSubscriptions('a@b.com');
+  assert(lastCall(fx, 'get', '/subscribers/a%40b.com/campaign_subscriptions'), 'GET campaign subscriptions not called');
+
   // Batch
   fx.on('POST', '/unsubscribes/batches', () => ({ status: 200, data: { ok: true } }));
   await client.batchUnsubscribe(['a@b.com']);
@@ -70,6 +244,58 @@ async function run() {
   await client.batchCreateSubscribers([{ email: 'a@b.com' }]);
   assert(lastCall(fx, 'post', '/subscribers/batches'), 'POST batch subscribers not called');
 
+  // Batches report progress after every 1000-record chunk
+  const progress = [];
+  const unsubscribeCount = fx.calls.length;
+  const emails = Array.from({ length: 2500 }, (_, i) => `u${i}@b.com`);
+  const unsubscribed = await client.batchUnsubscribe(emails, { onProgress: (p) => progress.push(p) });
+  const unsubscribeBatches = fx.calls.slice(unsubscribeCount).filter(c => c.path === '/unsubscribes/batches');
+  assert(unsubscribeBatches.length === 3 && unsubscribeBatches[2].data.batches[0].subscribers.length === 500, 'Unsubscribe batches should be chunked at 1000');
+  assert(Array.isArray(unsubscribed) && unsubscribed.length === 3, 'Chunked unsubscribes should return every response');
+  assert(progress.map(p => `${p.chunk}/${p.chunks}:${p.done}/${p.total}`).join() === '1/3:1000/2500,2/3:2000/2500,3/3:2500/2500', 'Unexpected batch progress');
+
+  // Cancelling stops a batch between chunks and reports what Drip accepted
+  const controller = new AbortController();
+  const cancelCount = fx.calls.length;
+  let cancelled = null;
+  try {
+    await client.batchUnsubscribe(emails, { signal: controller.signal, onProgress: ({ chunk }) => chunk === 1 && controller.abort() });
+  } catch (e) {
+    cancelled = e;
+  }
+  assert(cancelled instanceof DripCancelledError, 'Cancelled batch should throw DripCancelledError');
+  assert(fx.calls.length - cancelCount === 1, 'No chunks should be sent after cancelling');
+  assert(JSON.stringify(cancelled.toJSON().committed_chunks) === '[{"chunk":1,"records":[0,999]}]' && cancelled.totalChunks === 3 && cancelled.inFlightChunk === null, 'Cancelled batch should list committed chunks');
+
+  // A chunk whose request was out when the signal fired has an unknown outcome
+  const midFlight = new AbortController();
+  fx.on('POST', '/unsubscribes/batches', () => { midFlight.abort(); return { status: 200, data: {} }; });
+  cancelled = null;
+  try {
+    await client.batchUnsubscribe(emails, { signal: midFlight.signal });
+  } catch (e) {
+    cancelled = e;
+  }
+  assert(cancelled?.inFlightChunk === 1 && cancelled.committedChunks.length === 0, 'In-flight chunk should be reported');
+  fx.on('POST', '/unsubscribes/batches', () => ({ status: 200, data: { ok: true } }));
+
+  // Requests pick up the signal of the current operation
+  const aborted = new AbortController();
+  aborted.abort();
+  const signalled = new DripClient(apiKey, accountId, {
+    httpClient: fx.create({ baseURL: `https://api.getdrip.com/v2/${accountId}` }),
+    axiosModule: fx,
+    currentSignal: () => aborted.signal,
+  });
+  const beforeSignalled = fx.calls.length;
+  cancelled = null;
+  try {
+    await signalled.getSubscriber('a@b.com');
+  } catch (e) {
+    cancelled = e;
+  }
+  assert(cancelled instanceof DripCancelledError && fx.calls.length === beforeSignalled, 'Requests of a cancelled operation should not be sent');
+
   // Unsubscribe analytics
   fx.on('GET', '/subscribers?status=unsubscribed&sort=updated_at&direction=desc&per_page=100', () => ({ status: 200, data: { subscribers: [], meta: {} } }));
   await client.getRecentUnsubscribes({ per_page: 100 });
@@ -96,6 +322,32 @@ async function run() {
   await client.removeFromWorkflow('w1', 'a@b.com');
   assert(lastCall(fx, 'delete', '/workflows/w1/subscribers/a%40b.com'), 'DELETE workflow subscriber not called');
 
+  fx.on('GET', '/workflows/w1', () => ({ status: 200, data: { workflows: [{ id: 'w1' }] } }));
+  await client.getWorkflow('w1');
+  assert(lastCall(fx, 'get', '/workflows/w1'), 'GET /workflows/:id not called');
+
+  // Workflow triggers
+  fx.on('GET', '/workflows/w1/triggers', () => ({ status: 200, data: { triggers: [] } }));
+  await client.listWorkflowTriggers('w1');
+  assert(lastCall(fx, 'get', '/workflows/w1/triggers'), 'GET workflow triggers not called');
+
+  const trigger = { provider: 'leadpages', trigger_type: 'submitted_landing_page', properties: { landing_page: 'My Landing Page' } };
+  fx.on('POST', '/workflows/w1/triggers', () => ({ status: 201, data: { triggers: [{ id: 't1' }] } }));
+  await client.createWorkflowTrigger('w1', trigger);
+  assert(lastCall(fx, 'post', '/workflows/w1/triggers').data.triggers[0].trigger_type === 'submitted_landing_page', 'POST workflow trigger payload incorrect');
+
+  fx.on('PUT', '/workflows/w1/triggers/t1', () => ({ status: 200, data: { triggers: [{ id: 't1' }] } }));
+  await client.updateWorkflowTrigger('w1', 't1', trigger);
+  assert(lastCall(fx, 'put', '/workflows/w1/triggers/t1'), 'PUT workflow trigger not called');
+
+  threw = false;
+  try { await client.createWorkflowTrigger('w1', { ...trigger, trigger_type: 'Submitted Landing Page' }); } catch (e) { threw = true; }
+  assert(threw, 'createWorkflowTrigger should reject malformed trigger_type');
+
+  threw = false;
+  try { await client.createWorkflowTrigger('w1', { ...trigger, properties: { landing_page: { nested: true } } }); } catch (e) { threw = true; }
+  assert(threw, 'createWorkflowTrigger should reject nested properties');
+
   // Forms
   fx.on('GET', '/forms?page=1&per_page=10', () => ({ status: 200, data: { forms: [] } }));
   await client.listForms({ page: 1, per_page: 10 });
@@ -118,24 +370,223 @@ async function run() {
   fx.on('GET', 'https://api.getdrip.com/v2/accounts', () => ({ status: 200, data: { accounts: [{ id: '123' }] } }));
   await client.getAccount();
   assert(fx.calls.find(c => c.url === 'https://api.getdrip.com/v2/accounts'), 'GET accounts not called');
+  const accounts = await client.listAccounts();
+  assert(accounts.accounts.length === 1, 'listAccounts should return all accounts');
+
+  // Pagination: iterate every record, or collect pages up to max_records
+  fx.on('GET', '/workflows?page=1&per_page=1000', () => ({ status: 200, data: { workflows: [{ id: 'w1' }, { id: 'w2' }], meta: { total_pages: 2, total_count: 3 } } }));
+  fx.on('GET', '/workflows?page=2&per_page=1000', () => ({ status: 200, data: { workflows: [{ id: 'w3' }], meta: { total_pages: 2, total_count: 3 } } }));
+  const iterated = [];
+  for await (const workflow of client.paginate('listWorkflows')) iterated.push(workflow.id);
+  assert(iterated.join() === 'w1,w2,w3', 'paginate should yield records from every page');
+
+  const allWorkflows = await client.listAll('listWorkflows');
+  assert(allWorkflows.workflows.length === 3 && allWorkflows.meta.pages_fetched === 2, 'listAll should follow total_pages');
+  assert(allWorkflows.meta.truncated === false, 'Complete listing should not be truncated');
+
+  const pageProgress = [];
+  await client.listAll('listWorkflows', {}, { onProgress: (p) => pageProgress.push(p) });
+  assert(pageProgress.map(p => `${p.chunk}/${p.chunks}:${p.done}/${p.total}`).join() === '1/2:2/3,2/2:3/3', 'Unexpected listing progress');
+
+  const cappedWorkflows = await client.listAll('listWorkflows', { max_records: 2 });
+  assert(cappedWorkflows.workflows.length === 2 && cappedWorkflows.meta.pages_fetched === 1, 'max_records should stop paging');
+  assert(cappedWorkflows.meta.truncated === true && cappedWorkflows.meta.total_count === 3, 'Capped listing should be marked truncated');
+
+  const fromPage2 = await client.listAll('listWorkflows', { page: 2 });
+  assert(fromPage2.workflows.length === 1 && fromPage2.meta.truncated === false, 'Listing from a later page through the last should not be truncated');
+
+  threw = false;
+  try { await client.listAll('getSubscriber'); } catch (e) { threw = true; }
+  assert(threw, 'listAll should reject non-list methods');
+
+  // Search streams through pages and reports how much was scanned
+  fx.on('GET', '/subscribers?status=active&page=1&per_page=1000', () => ({ status: 200, data: { subscribers: [{ email: 'a@x.com', lead_score: 10 }, { email: 'b@x.com', lead_score: 90 }], meta: { page: 1, total_pages: 2, total_count: 3 } } }));
+  fx.on('GET', '/subscribers?status=active&page=2&per_page=1000', () => ({ status: 200, data: { subscribers: [{ email: 'c@x.com', lead_score: 95 }], meta: { page: 2, total_pages: 2, total_count: 3 } } }));
+  const found = await client.searchSubscribers({ status: 'active', lead_score_min: 50 });
+  assert(found.subscribers.map(s => s.email).join() === 'b@x.com,c@x.com', 'Search should match across pages');
+  assert(found.meta.scanned_count === 3 && found.meta.pages_fetched === 2 && found.meta.complete, 'Scan counts not reported');
+
+  const limited = await client.searchSubscribers({ status: 'active', lead_score_min: 50, limit: 1 });
+  assert(limited.subscribers.length === 1 && limited.meta.pages_fetched === 1, 'Search should stop at limit');
+  assert(!limited.meta.complete && limited.meta.stop_reason === 'limit', 'Limited search should not be complete');
+
+  // Rate limit headers update the budget for the endpoint class
+  fx.on('GET', '/tags', () => ({ status: 200, headers: { 'x-ratelimit-limit': '3600', 'x-ratelimit-remaining': '3590' }, data: { tags: [] } }));
+  await client.listTags();
+  fx.on('POST', '/subscribers/batches', () => ({ status: 201, headers: { 'x-ratelimit-limit': '50', 'x-ratelimit-remaining': '48' }, data: {} }));
+  await client.batchCreateSubscribers([{ email: 'a@b.com' }]);
+  const rateStatus = client.getRateLimitStatus();
+  assert(rateStatus.normal.remaining === 3590, 'Normal budget not read from headers');
+  assert(rateStatus.batch.remaining === 48, 'Batch budget not read from headers');
+
+  // Retries: transient errors on safe requests are retried, others are not
+  const retryFx = new FakeAxios();
+  const attempts = [];
+  const retryClient = new DripClient(apiKey, accountId, {
+    httpClient: retryFx.create({ baseURL: `https://api.getdrip.com/v2/${accountId}` }),
+    retry: { retries: 2 },
+    sleep: async () => {},
+    rateLimiter: new RateLimiter({ sleep: async () => {} }),
+    onAttempt: (a) => attempts.push(a),
+  });
+  let failures = 1;
+  retryFx.on('GET', '/subscribers/a%40b.com', () => (failures-- > 0
+    ? { status: 502, data: {} }
+    : { status: 200, data: { subscribers: [{ email: 'a@b.com' }] } }));
+  await retryClient.getSubscriber('a@b.com');
+  assert(attempts.length === 2 && attempts[0].status === 502 && attempts[0].retry_in_ms > 0, 'GET should be retried after a 502');
+  assert(attempts[1].attempt === 2 && attempts[1].status === 200, 'Second attempt should be reported');
+
+  attempts.length = 0;
+  retryFx.on('DELETE', '/subscribers/a%40b.com', () => ({ status: 503, data: {} }));
+  threw = false;
+  try { await retryClient.deleteSubscriber('a@b.com'); } catch (e) { threw = /503/.test(e.message); }
+  assert(threw && attempts.length === 1 && attempts[0].retry_in_ms === undefined, 'DELETE should not be retried');
+
+  for (const [path, call] of [
+    ['/campaigns/c1/subscribers', () => retryClient.subscribeToCampaign({ campaign_id: 'c1', email: 'a@b.com' })],
+    ['/workflows/w1/subscribers', () => retryClient.startWorkflowForSubscriber('w1', 'a@b.com')],
+  ]) {
+    attempts.length = 0;
+    retryFx.on('POST', path, () => ({ status: 503, data: {} }));
+    threw = false;
+    try { await call(); } catch (e) { threw = true; }
+    assert(threw && attempts.length === 1, `POST ${path} should not be retried`);
+  }
+
+  attempts.length = 0;
+  retryFx.on('POST', '/events', () => ({ status: 429, headers: { 'retry-after': '1' }, data: {} }));
+  threw = false;
+  try { await retryClient.trackEvent({ email: 'a@b.com', action: 'Viewed' }); } catch (e) { threw = true; }
+  assert(threw && attempts.length === 1, 'Events without dedupe_key should not be retried');
+
+  attempts.length = 0;
+  threw = false;
+  const eventPostsBefore = retryFx.calls.filter(c => c.path === '/events').length;
+  try { await retryClient.trackEvent({ email: 'a@b.com', action: 'Viewed', dedupe_key: 'view-1' }); } catch (e) { threw = true; }
+  assert(threw && attempts.length === 1, 'Events with dedupe_key should not be retried either');
+  assert(retryFx.calls.filter(c => c.path === '/events').length - eventPostsBefore === 1, 'Events with dedupe_key should be POSTed once');
+
+  attempts.length = 0;
+  retryFx.on('GET', '/tags', () => ({ status: 429, headers: { 'retry-after': '1' }, data: {} }));
+  threw = false;
+  try { await retryClient.listTags(); } catch (e) { threw = true; }
+  assert(threw && attempts.length === 3, 'GETs should be retried up to the policy limit');
+  assert(attempts[0].retry_in_ms === 1000, 'Retry-After should set the delay');
+
+  // Cancelling during the backoff abandons the retry
+  const backoffFx = new FakeAxios();
+  const backoff = new AbortController();
+  const backoffClient = new DripClient(apiKey, accountId, {
+    httpClient: backoffFx.create({ baseURL: `https://api.getdrip.com/v2/${accountId}` }),
+    retry: { retries: 2, baseDelayMs: 60000 },
+    rateLimiter: new RateLimiter({ sleep: async () => {} }),
+    currentSignal: () => backoff.signal,
+  });
+  backoffFx.on('GET', '/tags', () => ({ status: 503, data: {} }));
+  setTimeout(() => backoff.abort(), 20);
+  const backoffStarted = Date.now();
+  threw = false;
+  try { await backoffClient.listTags(); } catch (e) { threw = e instanceof DripCancelledError; }
+  assert(threw && Date.now() - backoffStarted < 5000 && backoffFx.calls.length === 1, 'Cancelling should interrupt the retry backoff');
+  assert(lastCall(retryFx, 'post', '/events').data.events[0].properties.dedupe_key === 'view-1', 'dedupe_key not sent');
+
+  // API errors carry status, Drip code, field errors and the request path
+  fx.on('POST', '/subscribers', () => ({ status: 422, data: { errors: [{ code: 'email_error', attribute: 'email', message: 'Email is invalid' }] } }));
+  let apiError = null;
+  try { await client.createOrUpdateSubscriber({ email: 'a@b.com' }); } catch (e) { apiError = e; }
+  assert(apiError instanceof DripApiError && apiError.status === 422 && apiError.code === 'email_error', 'DripApiError not thrown');
+  assert(apiError.type === 'validation' && apiError.fieldErrors[0].attribute === 'email', 'Field errors missing');
+  assert(apiError.method === 'POST' && apiError.path === '/subscribers', 'Request path missing');
+  assert(apiError.message === 'API Error (422): Email is invalid', 'Error message changed');
+
+  fx.on('POST', '/workflows/w9/activate', () => ({ status: 403, data: { errors: [{ code: 'no_postal_address_error' }] } }));
+  apiError = null;
+  try { await client.activateWorkflow('w9'); } catch (e) { apiError = e; }
+  assert(apiError.type === 'transition' && /no_postal_address_error/.test(apiError.message), 'Transition error not recognised');
+
+  // Auth strategies
+  const basicFx = new FakeAxios();
+  const basicClient = new DripClient(apiKey, accountId, { axiosModule: basicFx });
+  assert(basicClient.client.config.auth.username === 'test_key', 'API key should be sent as Basic auth username');
+  assert(!basicClient.client.config.headers.Authorization, 'API key auth should not send a Bearer header');
+
+  const oauthFx = new FakeAxios();
+  const oauthClient = new DripClient('oauth_token', accountId, { authType: 'oauth', axiosModule: oauthFx });
+  assert(oauthClient.client.config.headers.Authorization === 'Bearer oauth_token', 'OAuth should send a Bearer header');
+  assert(!oauthClient.client.config.auth, 'OAuth should not send Basic auth');
+  oauthFx.on('GET', 'https://api.getdrip.com/v2/accounts', () => ({ status: 200, data: { accounts: [{ id: '123' }] } }));
+  await oauthClient.getAccount();
+  assert(oauthFx.calls.find(c => c.url === 'https://api.getdrip.com/v2/accounts'), 'OAuth getAccount should use the shared client');
+
+  threw = false;
+  try { new DripClient('x', accountId, { authType: 'password' }); } catch (e) { threw = /Invalid auth type/.test(e.message); }
+  assert(threw, 'Unknown auth type should throw');
 
   // Unsubscribe from a campaign (remove)
   fx.on('POST', '/subscribers/a%40b.com/remove?campaign_id=c1', () => ({ status: 200, data: {} }));
   await client.unsubscribeSubscriber('a@b.com', 'c1');
   assert(lastCall(fx, 'post', '/subscribers/a%40b.com/remove?campaign_id=c1'), 'POST remove from campaign not called');
 
+  // Webhooks
+  fx.on('GET', '/webhooks', () => ({ status: 200, data: { webhooks: [] } }));
+  await client.listWebhooks();
+  assert(lastCall(fx, 'get', '/webhooks'), 'GET /webhooks not called');
+
+  fx.on('GET', '/webhooks/77', () => ({ status: 200, data: { webhooks: [{ id: '77' }] } }));
+  assert((await client.getWebhook('77')).id === '77', 'GET /webhooks/:id not unwrapped');
+
+  fx.on('POST', '/webhooks', () => ({ status: 201, data: { webhooks: [{ id: '78' }] } }));
+  await client.createWebhook({ post_url: 'https://hooks.example.com/drip', events: ['subscriber.created', 'subscriber.applied_tag'] });
+  assert(lastCall(fx, 'post', '/webhooks').data.webhooks[0].events.length === 2, 'POST /webhooks payload incorrect');
+
+  threw = false;
+  try { await client.createWebhook({ post_url: 'https://hooks.example.com/drip', events: ['subscriber.tagged'] }); } catch (e) { threw = true; }
+  assert(threw, 'createWebhook should reject unknown events');
+
+  fx.on('DELETE', '/webhooks/77', () => ({ status: 204, data: {} }));
+  await client.deleteWebhook('77');
+  assert(lastCall(fx, 'delete', '/webhooks/77'), 'DELETE /webhooks/:id not called');
+
   // Custom fields
   fx.on('GET', '/custom_field_identifiers', () => ({ status: 200, data: { identifiers: [] } }));
   await client.listCustomFields();
   assert(lastCall(fx, 'get', '/custom_field_identifiers'), 'GET custom fields not called');
 
   // Validation: event value must be integer
-  let threw = false;
+  threw = false;
   try {
     await client.trackEvent({ email: 'a@b.com', action: 'X', properties: { value: 1.23 } });
   } catch (e) { threw = true; }
   assert(threw, 'trackEvent should throw for non-integer value');
 
+  // Dry runs validate and record requests instead of sending them
+  const callsBefore = fx.calls.length;
+  const { client: preview, requests } = client.dryRun();
+  await preview.createOrUpdateSubscriber({ email: 'a@b.com', company: 'Acme' });
+  await preview.removeTag('a@b.com', 'y');
+  await preview.batchUnsubscribe(Array.from({ length: 2500 }, (_, i) => `u${i}@example.com`));
+  await preview.upsertCart({ provider: 'shopify', action: 'created', cart_id: 'c1', cart_url: 'https://shop.example.com/cart', email: 'a@b.com' });
+  assert(fx.calls.length === callsBefore, 'Dry runs must not send anything');
+  assert(requests[0].method === 'POST' && requests[0].path === '/v2/123/subscribers', 'Dry run path incorrect');
+  assert(requests[0].body.subscribers[0].custom_fields.company === 'Acme', 'Dry run payload should be formatted');
+  assert(requests[1].method === 'DELETE' && requests[1].path === '/v2/123/subscribers/a%40b.com/tags/y' && requests[1].body === null, 'Dry run DELETE incorrect');
+  const chunks = requests.slice(2, 5);
+  assert(chunks.map(r => r.records.join('-')).join() === '0-999,1000-1999,2000-2499' && chunks.every(r => r.chunks === 3), 'Dry run chunking incorrect');
+  assert(chunks[2].body.batches[0].subscribers.length === 500, 'Dry run chunk payload incorrect');
+  assert(requests[5].path === '/v3/123/shopper_activity/cart', 'Dry run v3 path incorrect');
+
+  threw = false;
+  try { await preview.tagSubscriber('not-an-email', ['x']); } catch (e) { threw = true; }
+  assert(threw && requests.length === 6, 'Dry runs should still validate');
+
+  const feed = await preview.syncProductCatalog([
+    { product_id: 'p1', name: 'One', price: 1 },
+    { product_id: 'p2', price: 2 },
+    { product_id: 'p3', name: 'Three', price: 3 },
+  ], { provider: 'shopify' });
+  assert(feed.failed === 1 && requests[6].records.join() === '0,2' && requests[6].body.products.length === 2, 'Product feed dry run should report feed rows');
+
   // All drip-client unit tests passed
 }
 
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+import { DripApiError, DripValidationError, describeError, parseErrorPayload } from '../errors.js';
+import { assert } from './helpers.js';
+
+async function run() {
+  // Drip's array payload, including codes and attributes
+  const fieldErrors = parseErrorPayload({
+    errors: [
+      { code: 'presence_error', attribute: 'email', message: 'Email is required' },
+      { code: 'length_error', attribute: 'name', message: 'Name must be between 2 and 20 characters' },
+    ],
+  });
+  assert(fieldErrors.length === 2 && fieldErrors[0].attribute === 'email' && fieldErrors[1].code === 'length_error', 'Array payload not parsed');
+
+  // Older { field: [messages] } payloads
+  const legacy = parseErrorPayload({ errors: { email: ['is invalid', 'is taken'] } });
+  assert(legacy.length === 2 && legacy[1].message === 'is taken' && legacy[1].attribute === 'email', 'Object payload not parsed');
+  assert(parseErrorPayload({ message: 'Oops' }).length === 0, 'Payload without errors should parse as empty');
+
+  // Error types
+  const typeOf = (status, code) => new DripApiError('x', { status, code }).type;
+  assert(typeOf(401) === 'authentication', '401 should be an authentication error');
+  assert(typeOf(403, 'authorization_error') === 'authorization', '403 authorization_error should be authorization');
+  assert(typeOf(403, 'no_postal_address_error') === 'transition', '403 with another code should be a transition error');
+  assert(typeOf(404, 'not_found_error') === 'not_found', '404 should be not_found');
+  assert(typeOf(422, 'presence_error') === 'validation', '422 should be a validation error');
+  assert(typeOf(429) === 'rate_limit', '429 should be rate_limit');
+  assert(typeOf(502) === 'server', '5xx should be a server error');
+
+  const body = describeError(new DripApiError('API Error (422): Email is required', {
+    status: 422, code: 'presence_error', fieldErrors: fieldErrors.slice(0, 1), method: 'POST', path: '/subscribers',
+  }));
+  assert(body.type === 'validation' && body.path === '/subscribers' && body.field_errors[0].attribute === 'email', 'API error not described');
+  assert(describeError(new DripValidationError('Invalid email format')).type === 'invalid_request', 'Validation errors should be invalid_request');
+  assert(describeError(new TypeError("Cannot read properties of undefined (reading 'trim')")).type === 'internal_error', 'Internal errors should not blame the request');
+  assert(describeError(new Error('Something broke')).type === 'internal_error', 'Unexpected errors should be internal_error');
+  assert(describeError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })).type === 'network', 'Network errors should be network');
+  const unreadable = describeError(Object.assign(new Error('ENOENT: no such file or directory'), { code: 'ENOENT' }));
+  assert(unreadable.type === 'error' && unreadable.code === 'ENOENT', 'File system errors should not be network errors');
+
+  // All error tests passed
+}
+
+run().catch((e) => { console.error(e); process.exit(1); });
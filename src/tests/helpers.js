@@ -16,35 +16,73 @@ export class FakeAxios {
     return { status: 200, data: {} };
   }
 
+  // Axios-like instance: runs registered interceptors around each request.
+  // Routes may return a response with status >= 400 to simulate API errors.
   create(config = {}) {
-    const parent = this;
     const calls = this.calls;
     const routes = this.routes;
     const baseURL = config.baseURL || '';
+    // Like axios, absolute URLs bypass baseURL
+    const resolve = (path) => (baseURL && !/^https?:\/\//.test(path) ? `${baseURL}${path}` : path);
+    const requestHandlers = [];
+    const responseHandlers = [];
+    const defaultStatus = { get: 200, post: 204, put: 200, delete: 204 };
+
+    // Like axios, errors from request interceptors and the request itself
+    // pass through the response error handlers
+    async function fail(error) {
+      for (const [, onRejected] of responseHandlers) {
+        if (!onRejected) continue;
+        try {
+          return await onRejected(error);
+        } catch (e) {
+          error = e;
+        }
+      }
+      throw error;
+    }
+
+    async function send(method, path, data, options = {}) {
+      let request = { ...options, method, url: path, baseURL, data };
+      try {
+        for (const handler of requestHandlers) request = await handler(request);
+      } catch (error) {
+        return fail(error);
+      }
+
+      const url = resolve(request.url);
+      const call = { method, url, path: request.url, baseURL };
+      if (data !== undefined) call.data = request.data;
+      calls.push(call);
+
+      const key = `${method.toUpperCase()} ${request.url}`;
+      let response = routes.has(key) ? await routes.get(key)(request) : { status: defaultStatus[method], data: {} };
+      response = { headers: {}, ...response, config: request };
+
+      // A signal aborted while the request was out discards the response
+      if (request.signal?.aborted) {
+        return fail(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED', config: request }));
+      }
+      if (response.status >= 400) {
+        return fail(Object.assign(new Error(`Request failed with status code ${response.status}`), { config: request, response }));
+      }
+      for (const [onFulfilled] of responseHandlers) {
+        if (onFulfilled) response = await onFulfilled(response);
+      }
+      return response;
+    }
+
     return {
       config,
-      interceptors: { response: { use: () => {} } },
-      async get(path) {
-        const url = baseURL ? `${baseURL}${path}` : path;
-        calls.push({ method: 'get', url, path, baseURL });
-        const key = `GET ${path}`;
-        if (routes.has(key)) return routes.get(key)();
-        return { status: 200, data: {} };
-      },
-      async post(path, data) {
-        const url = baseURL ? `${baseURL}${path}` : path;
-        calls.push({ method: 'post', url, path, baseURL, data });
-        const key = `POST ${path}`;
-        if (routes.has(key)) return routes.get(key)();
-        return { status: 204, data: {} };
-      },
-      async delete(path) {
-        const url = baseURL ? `${baseURL}${path}` : path;
-        calls.push({ method: 'delete', url, path, baseURL });
-        const key = `DELETE ${path}`;
-        if (routes.has(key)) return routes.get(key)();
-        return { status: 204, data: {} };
+      interceptors: {
+        request: { use: (onFulfilled) => requestHandlers.push(onFulfilled) },
+        response: { use: (onFulfilled, onRejected) => responseHandlers.push([onFulfilled, onRejected]) },
       },
+      request: (options) => send(options.method, options.url, options.data, options),
+      get: (path, options) => send('get', path, undefined, options),
+      post: (path, data, options) => send('post', path, data, options),
+      put: (path, data, options) => send('put', path, data, options),
+      delete: (path, options) => send('delete', path, undefined, options),
     };
   }
 
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+import { createHash } from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { DripMCPServer } from '../index.js';
+import { TokenAuthenticator, parseTokenFile } from '../http-auth.js';
+import { assert } from './helpers.js';
+
+function expectThrows(fn, pattern, message) {
+  try {
+    fn();
+  } catch (e) {
+    assert(pattern.test(e.message), `${message}: unexpected error "${e.message}"`);
+    return;
+  }
+  throw new Error(`${message}: no error thrown`);
+}
+
+function connect(url, token) {
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  const transport = new StreamableHTTPClientTransport(url, {
+    requestInit: token ? { headers: { Authorization: `Bearer ${token}` } } : {},
+  });
+  return client.connect(transport).then(() => ({ client, transport }));
+}
+
+async function run() {
+  // Token file validation
+  expectThrows(() => parseTokenFile({ tokens: [] }), /at least one token/, 'Empty token file should be rejected');
+  expectThrows(() => parseTokenFile({ tokens: [{ name: 'x', token: 't', scopes: ['admin'] }] }), /invalid scopes/, 'Unknown scopes should be rejected');
+  expectThrows(() => parseTokenFile({ tokens: [{ name: 'x', scopes: ['read'] }] }), /"token" or a hex "token_sha256"/, 'Entries need a token');
+
+  // Plain and hashed tokens
+  const auth = new TokenAuthenticator(parseTokenFile({
+    tokens: [
+      { name: 'reader', token: 'read-token', scopes: ['read'] },
+      { name: 'ops', token_sha256: createHash('sha256').update('ops-token').digest('hex'), scopes: ['read', 'write', 'destructive'] },
+    ],
+  }));
+  assert(auth.authenticate('Bearer read-token').clientId === 'reader', 'Plain token not accepted');
+  assert(auth.authenticate('bearer ops-token').scopes.includes('destructive'), 'Hashed token not accepted');
+  assert(auth.authenticate('Bearer wrong') === null && auth.authenticate(undefined) === null, 'Invalid tokens should be rejected');
+  assert(auth.authenticate('Basic read-token') === null, 'Only bearer tokens should be accepted');
+
+  // Scope checks through the HTTP transport
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drip-auth-'));
+  const tokenFile = path.join(dir, 'tokens.json');
+  fs.writeFileSync(tokenFile, JSON.stringify({
+    tokens: [
+      { name: 'reader', token: 'read-token', scopes: ['read'] },
+      { name: 'writer', token: 'write-token', scopes: ['read', 'write'] },
+    ],
+  }));
+
+  const calls = [];
+  const fake = {
+    accountId: 'acc',
+    getSubscriber: (id) => { calls.push(['getSubscriber', id]); return Promise.resolve({ email: id }); },
+    tagSubscriber: (email, tags) => { calls.push(['tagSubscriber', email, tags]); return Promise.resolve({ success: true }); },
+    deleteSubscriber: (id) => { calls.push(['deleteSubscriber', id]); return Promise.resolve(true); },
+  };
+  const server = new DripMCPServer({ dripClient: fake, clientFactory: () => fake });
+  await server.run({ transport: 'http', host: '127.0.0.1', port: 0, tokenFile, shutdownTimeoutMs: 1000 });
+  const url = new URL(`http://127.0.0.1:${server.httpServer.httpServer.address().port}/mcp`);
+
+  const unauthenticated = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'x', version: '1' } } }),
+  });
+  assert(unauthenticated.status === 401 && /Bearer/.test(unauthenticated.headers.get('www-authenticate')), 'Requests without a token should be 401');
+
+  const reader = await connect(url, 'read-token');
+  const readerTools = (await reader.client.listTools()).tools.map(t => t.name);
+  assert(readerTools.includes('drip_get_subscriber') && !readerTools.includes('drip_tag_subscriber'), 'Tool list should only show permitted tools');
+  const read = await reader.client.callTool({ name: 'drip_get_subscriber', arguments: { subscriber_id: 'a@example.com' } });
+  assert(!read.isError, 'Read scope should allow read tools');
+
+  let denied = null;
+  try {
+    await reader.client.callTool({ name: 'drip_tag_subscriber', arguments: { email: 'a@example.com', tags: ['VIP'] } });
+  } catch (e) {
+    denied = e;
+  }
+  assert(denied && denied.code === -32600 && /requires the "write" scope/.test(denied.message), 'Write tools should be denied to read tokens');
+  assert(denied.data.required_scope === 'write' && denied.data.granted_scopes.join() === 'read', 'Denial should name the scopes');
+
+  const writer = await connect(url, 'write-token');
+  const tagged = await writer.client.callTool({ name: 'drip_tag_subscriber', arguments: { email: 'a@example.com', tags: ['VIP'] } });
+  assert(!tagged.isError, 'Write scope should allow write tools');
+  let deleteDenied = false;
+  try {
+    await writer.client.callTool({ name: 'drip_delete_subscriber', arguments: { subscriber_id: 'a@example.com' } });
+  } catch (e) {
+    deleteDenied = /"destructive" scope/.test(e.message);
+  }
+  assert(deleteDenied, 'Deletes should need the destructive scope');
+  assert(!calls.some(c => c[0] === 'deleteSubscriber') && calls.filter(c => c[0] === 'tagSubscriber').length === 1, 'Denied tools must not reach Drip');
+
+  // Sessions are bound to the token that opened them
+  const hijack = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      Authorization: 'Bearer write-token',
+      'Mcp-Session-Id': reader.transport.sessionId,
+    },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 9, method: 'tools/list' }),
+  });
+  assert(hijack.status === 403, `Other tokens should not use a session, got ${hijack.status}`);
+
+  await server.shutdown();
+  await Promise.all([reader.client.close(), writer.client.close()]);
+
+  // Non-loopback hosts need a token file
+  let refused = false;
+  try {
+    await new DripMCPServer({ dripClient: fake, clientFactory: () => fake }).run({ transport: 'http', host: '0.0.0.0', port: 0 });
+  } catch (e) {
+    refused = /DRIP_MCP_TOKEN_FILE/.test(e.message);
+  }
+  assert(refused, 'Serving on a public interface without tokens should be refused');
+
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  // All HTTP auth tests passed
+}
+
+run().catch((e) => { console.error(e); process.exit(1); });
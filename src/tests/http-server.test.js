@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+import http from 'http';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { DripMCPServer } from '../index.js';
+import { resolveTransportOptions } from '../http-server.js';
+import { assert } from './helpers.js';
+
+async function run() {
+  // Transport selection: CLI flags win over environment variables
+  const defaults = resolveTransportOptions([], {});
+  assert(defaults.transport === 'stdio' && defaults.host === '127.0.0.1' && defaults.port === 3000, 'Unexpected transport defaults');
+  const fromEnv = resolveTransportOptions([], { DRIP_MCP_TRANSPORT: 'http', DRIP_MCP_PORT: '8080', DRIP_MCP_HOST: '0.0.0.0' });
+  assert(fromEnv.transport === 'http' && fromEnv.port === 8080 && fromEnv.host === '0.0.0.0', 'Env transport options not read');
+  const fromFlags = resolveTransportOptions(['--transport', 'http', '--port=9000'], { DRIP_MCP_PORT: '8080' });
+  assert(fromFlags.transport === 'http' && fromFlags.port === 9000, 'CLI flags should override env');
+  assert(resolveTransportOptions(['--http'], {}).transport === 'http', '--http should select the HTTP transport');
+  let rejected = false;
+  try { resolveTransportOptions(['--transport', 'websocket'], {}); } catch { rejected = true; }
+  assert(rejected, 'Unknown transports should be rejected');
+
+  let releaseTags;
+  const fake = {
+    accountId: 'acc',
+    listTags: () => new Promise(resolve => { releaseTags = () => resolve({ tags: ['Customer'] }); }),
+    getSubscriber: (id) => Promise.resolve({ email: id }),
+  };
+  const server = new DripMCPServer({ dripClient: fake, clientFactory: () => fake });
+  await server.run({ transport: 'http', host: '127.0.0.1', port: 0, shutdownTimeoutMs: 5000 });
+  const { port } = server.httpServer.httpServer.address();
+  const base = `http://127.0.0.1:${port}`;
+
+  // Streamable HTTP: each client gets its own session
+  const streamable = new Client({ name: 'streamable', version: '1.0.0' });
+  const streamableTransport = new StreamableHTTPClientTransport(new URL(`${base}/mcp`));
+  await streamable.connect(streamableTransport);
+  assert(streamableTransport.sessionId && server.httpServer.sessions.has(streamableTransport.sessionId), 'Session not registered');
+  const subscriber = await streamable.callTool({ name: 'drip_get_subscriber', arguments: { subscriber_id: 'a@example.com' } });
+  assert(subscriber.structuredContent.email === 'a@example.com', 'Tool call over Streamable HTTP failed');
+  const feed = await streamable.callTool({ name: 'drip_sync_product_feed', arguments: { file_path: '/etc/passwd', format: 'csv', provider: 'shop' } });
+  assert(feed.isError && /DRIP_PRODUCT_FEED_DIR/.test(feed.content[0].text), 'Product feeds over HTTP should need DRIP_PRODUCT_FEED_DIR');
+
+  // SSE fallback
+  const sse = new Client({ name: 'sse', version: '1.0.0' });
+  await sse.connect(new SSEClientTransport(new URL(`${base}/sse`)));
+  assert(server.httpServer.sessions.size === 2, 'SSE session not registered');
+  assert((await sse.listTools()).tools.some(t => t.name === 'drip_list_tags'), 'Tool listing over SSE failed');
+
+  // Requests for unknown sessions, and non-initialize requests without one
+  const unknown = await fetch(`${base}/mcp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', 'Mcp-Session-Id': 'nope' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+  });
+  assert(unknown.status === 404, `Unknown sessions should be 404, got ${unknown.status}`);
+  const missing = await fetch(`${base}/mcp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+  });
+  assert(missing.status === 400, `Requests without a session should be 400, got ${missing.status}`);
+
+  // DNS rebinding: pages on other origins, and requests for other host names, are refused
+  const initialize = JSON.stringify({
+    jsonrpc: '2.0', id: 1, method: 'initialize',
+    params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'page', version: '1.0.0' } },
+  });
+  const postInitialize = (headers) => fetch(`${base}/mcp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+    body: initialize,
+  });
+  const foreignOrigin = await postInitialize({ Origin: 'http://attacker.example' });
+  assert(foreignOrigin.status === 403, `Foreign origins should be 403, got ${foreignOrigin.status}`);
+  const foreignSse = await fetch(`${base}/sse`, { headers: { Origin: 'http://attacker.example' } });
+  assert(foreignSse.status === 403, `Foreign origins should not open SSE streams, got ${foreignSse.status}`);
+  const localOrigin = await postInitialize({ Origin: `http://localhost:${port}` });
+  assert(localOrigin.status === 200, `Local origins should be allowed, got ${localOrigin.status}`);
+  const reboundStatus = await new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path: '/mcp', method: 'POST', headers: { Host: `attacker.example:${port}`, 'Content-Type': 'application/json' } }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on('error', reject);
+    req.end(initialize);
+  });
+  assert(reboundStatus === 403, `Foreign Host headers should be 403, got ${reboundStatus}`);
+  const extended = resolveTransportOptions([], { DRIP_MCP_ALLOWED_HOSTS: 'mcp.internal, proxy', DRIP_MCP_ALLOWED_ORIGINS: 'https://app.example.com' });
+  assert(extended.allowedHosts.join() === 'mcp.internal,proxy' && extended.allowedOrigins[0] === 'https://app.example.com', 'Allowed hosts and origins not read');
+
+  // Idle sessions are closed, but not while their GET notification stream is open
+  const streamableSession = server.httpServer.sessions.get(streamableTransport.sessionId);
+  for (let i = 0; i < 100 && streamableSession.openStreams === 0; i++) await new Promise(resolve => setTimeout(resolve, 10));
+  assert(streamableSession.openStreams === 1, 'GET stream not tracked');
+  const idleIds = [...server.httpServer.sessions].filter(([, s]) => s.type === 'streamable' && s.openStreams === 0).map(([id]) => id);
+  assert(idleIds.length > 0, 'Expected a session without a GET stream');
+  const realNow = server.httpServer.now;
+  server.httpServer.now = () => realNow() + server.httpServer.sessionIdleMs + 1000;
+  await server.httpServer.closeIdleSessions();
+  server.httpServer.now = realNow;
+  assert(server.httpServer.sessions.has(streamableTransport.sessionId), 'A session with an open GET stream should not be closed as idle');
+  assert(idleIds.every(id => !server.httpServer.sessions.has(id)), 'Idle sessions without a stream should be closed');
+
+  // Ending a session removes it
+  const extra = new Client({ name: 'extra', version: '1.0.0' });
+  const extraTransport = new StreamableHTTPClientTransport(new URL(`${base}/mcp`));
+  await extra.connect(extraTransport);
+  const extraId = extraTransport.sessionId;
+  await extraTransport.terminateSession();
+  assert(!server.httpServer.sessions.has(extraId), 'Terminated session should be removed');
+
+  // Graceful shutdown: the in-flight call completes, new connections are refused
+  const inFlight = streamable.callTool({ name: 'drip_list_tags', arguments: {} });
+  while (!releaseTags) await new Promise(resolve => setTimeout(resolve, 10));
+  const stopping = server.shutdown();
+  await new Promise(resolve => setTimeout(resolve, 50));
+  let refused = false;
+  try { await fetch(`${base}/mcp`, { method: 'POST', body: '{}' }); } catch { refused = true; }
+  assert(refused, 'New connections should be refused while shutting down');
+
+  releaseTags();
+  const tags = await inFlight;
+  assert(tags.structuredContent.tags[0] === 'Customer', 'In-flight call should finish during shutdown');
+  await stopping;
+  assert(server.httpServer === null && server.inFlight.size === 0, 'Server not stopped cleanly');
+  await Promise.all([streamable.close(), sse.close(), extra.close()]);
+
+  // All HTTP transport tests passed
+}
+
+run().catch((e) => { console.error(e); process.exit(1); });
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  FileTokenStore,
+  resolveCredentials,
+} from '../oauth.js';
+import { assert } from './helpers.js';
+
+async function run() {
+  let threw = false;
+
+  // Authorization URL
+  const authorizeUrl = new URL(buildAuthorizationUrl({ clientId: 'cid', redirectUri: 'https://app.example.com/callback' }));
+  assert(authorizeUrl.origin + authorizeUrl.pathname === 'https://www.getdrip.com/oauth/authorize', 'Wrong authorize endpoint');
+  assert(authorizeUrl.searchParams.get('response_type') === 'code', 'response_type should be code');
+  assert(authorizeUrl.searchParams.get('redirect_uri') === 'https://app.example.com/callback', 'redirect_uri missing');
+
+  // Code exchange
+  const calls = [];
+  const tokenHttp = {
+    async post(url, data, config) {
+      calls.push({ url, data, config });
+      return { status: 200, data: { access_token: 'tok123', token_type: 'bearer', scope: 'public' } };
+    },
+  };
+  const token = await exchangeAuthorizationCode({
+    clientId: 'cid', clientSecret: 'secret', code: 'abc', redirectUri: 'https://app.example.com/callback',
+  }, tokenHttp);
+  assert(token.access_token === 'tok123' && token.scope === 'public', 'Token not returned');
+  const exchangeUrl = new URL(calls[0].url);
+  assert(exchangeUrl.pathname === '/oauth/token', 'Wrong token endpoint');
+  assert(exchangeUrl.searchParams.get('grant_type') === 'authorization_code', 'grant_type missing');
+  assert(exchangeUrl.searchParams.get('code') === 'abc', 'code missing');
+  assert(exchangeUrl.searchParams.get('client_secret') === 'secret', 'client_secret missing');
+
+  threw = false;
+  const failing = {
+    async post() {
+      const error = new Error('Request failed');
+      error.response = { status: 401, data: { error: 'invalid_grant' } };
+      throw error;
+    },
+  };
+  try {
+    await exchangeAuthorizationCode({ clientId: 'cid', clientSecret: 's', code: 'bad', redirectUri: 'https://x' }, failing);
+  } catch (e) { threw = /invalid_grant/.test(e.message); }
+  assert(threw, 'Failed exchange should surface the OAuth error');
+
+  // Token storage
+  const tokenPath = path.join(os.tmpdir(), `drip-token-${process.pid}.json`);
+  try {
+    const store = new FileTokenStore(tokenPath);
+    assert(store.load() === null, 'Missing token file should load as null');
+    store.save(token);
+    assert(new FileTokenStore(tokenPath).load().access_token === 'tok123', 'Saved token not reloaded');
+    assert((fs.statSync(tokenPath).mode & 0o777) === 0o600, 'Token file should be owner-only');
+    fs.chmodSync(tokenPath, 0o644);
+    store.save(token);
+    assert((fs.statSync(tokenPath).mode & 0o777) === 0o600, 'Saving should tighten an existing token file');
+
+    // Credential resolution
+    const fromFile = resolveCredentials({ DRIP_AUTH_TYPE: 'oauth', DRIP_TOKEN_FILE: tokenPath });
+    assert(fromFile.authType === 'oauth' && fromFile.credential === 'tok123', 'Token file not used for oauth');
+    const fromEnv = resolveCredentials({ DRIP_AUTH_TYPE: 'oauth', DRIP_ACCESS_TOKEN: 'envtok', DRIP_TOKEN_FILE: tokenPath });
+    assert(fromEnv.credential === 'envtok', 'DRIP_ACCESS_TOKEN should take precedence');
+  } finally {
+    fs.rmSync(tokenPath, { force: true });
+  }
+
+  const apiKey = resolveCredentials({ DRIP_API_KEY: 'key' });
+  assert(apiKey.authType === 'api_key' && apiKey.credential === 'key', 'API key should be the default');
+
+  threw = false;
+  try { resolveCredentials({ DRIP_AUTH_TYPE: 'basic' }); } catch (e) { threw = true; }
+  assert(threw, 'Unknown DRIP_AUTH_TYPE should throw');
+
+  // All OAuth tests passed
+}
+
+run().catch((e) => { console.error(e); process.exit(1); });
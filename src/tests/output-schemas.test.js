@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { AjvJsonSchemaValidator } from '@modelcontextprotocol/sdk/validation/ajv';
+import { DripMCPServer } from '../index.js';
+import { OUTPUT_SCHEMAS } from '../output-schemas.js';
+import { RateLimiter } from '../rate-limiter.js';
+import { assert } from './helpers.js';
+
+// Records as documented in the Drip API reference
+const SUBSCRIBER = {
+  id: 'z1togz2hcjrkpp5treip',
+  status: 'active',
+  email: 'john@acme.com',
+  first_name: 'John',
+  last_name: 'Doe',
+  time_zone: 'America/Los_Angeles',
+  utc_offset: -440,
+  custom_fields: { shirt_size: 'Medium' },
+  tags: ['Customer', 'SEO'],
+  prospect: true,
+  lead_score: 72,
+  lifetime_value: 10000,
+  created_at: '2013-06-21T10:31:58Z',
+  href: 'https://api.getdrip.com/v2/9999999/subscribers/12345',
+  user_id: '12345',
+  base_lead_score: 30,
+  links: { account: '9999999' },
+};
+const CAMPAIGN = {
+  id: '123456',
+  status: 'active',
+  name: 'SEO Email Course',
+  from_name: 'John Doe',
+  from_email: 'john@example.com',
+  double_optin: true,
+  bcc: null,
+  email_count: 10,
+  active_subscriber_count: 320,
+  unsubscribed_subscriber_count: 5,
+  created_at: '2013-06-21T10:31:58Z',
+  href: 'https://api.getdrip.com/v2/9999999/campaigns/123456',
+  links: { account: '9999999', forms: ['888'] },
+};
+const BROADCAST = {
+  id: '123456',
+  status: 'sent',
+  name: '4 Marketing Automation Trends for 2015',
+  from_name: 'John Doe',
+  from_email: 'john@example.com',
+  send_at: '2015-07-01T10:00:00Z',
+  bcc: null,
+  created_at: '2015-06-21T10:31:58Z',
+  subject: '4 Marketing Automation Trends for 2015',
+  links: { account: '9999999' },
+};
+
+function validate(tool, data) {
+  return new AjvJsonSchemaValidator().getValidator(OUTPUT_SCHEMAS[tool])(data);
+}
+
+async function run() {
+  // Documented Drip payloads match the record schemas
+  assert(validate('drip_get_subscriber', SUBSCRIBER).valid, 'Documented subscriber should validate');
+  assert(validate('drip_list_campaigns', { campaigns: [CAMPAIGN], meta: { page: 1, count: 1, total_pages: 1, total_count: 1 } }).valid, 'Campaign listing should validate');
+  assert(validate('drip_get_broadcast', { broadcasts: [BROADCAST] }).valid, 'Documented broadcast should validate');
+
+  // Schemas are not vacuous
+  assert(!validate('drip_list_subscribers', { subscribers: {} }).valid, 'Listings need a record array');
+  assert(!validate('drip_batch_unsubscribe', { records: 2, responses: [] }).valid, 'Batch results need a chunk count');
+  assert(!validate('drip_rate_limit_status', { normal: { limit: 3600 } }).valid, 'Rate limit buckets need remaining');
+  assert(!validate('drip_get_subscriber', { ...SUBSCRIBER, tags: 'Customer' }).valid, 'Subscriber tags should be an array');
+
+  // Rate limit status straight from a RateLimiter that has seen Drip's headers
+  const rateLimiter = new RateLimiter();
+  rateLimiter.update('normal', 200, { 'x-ratelimit-limit': '3600', 'x-ratelimit-remaining': '3598' });
+  const limitCheck = validate('drip_rate_limit_status', rateLimiter.status());
+  assert(limitCheck.valid, `Rate limit status should validate: ${limitCheck.errorMessage}`);
+
+  // Every listed tool declares an outputSchema, and SDK clients validate
+  // structuredContent against it
+  const fake = {
+    accountId: 'acc',
+    getSubscriber: () => Promise.resolve(SUBSCRIBER),
+    getCampaign: () => Promise.resolve({ campaigns: [CAMPAIGN], links: {} }),
+    batchUnsubscribe: (emails) => Promise.resolve(emails.length > 1000 ? [{}, {}] : {}),
+    deleteSubscriber: () => Promise.resolve(true),
+    getRateLimitStatus: () => rateLimiter.status(),
+  };
+  const server = new DripMCPServer({ dripClient: fake, clientFactory: () => fake });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.server.connect(serverTransport);
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  await client.connect(clientTransport);
+
+  const { tools } = await client.listTools();
+  const missing = tools.filter(tool => !tool.outputSchema).map(tool => tool.name);
+  assert(missing.length === 0, `Tools without an outputSchema: ${missing.join(', ')}`);
+  const stale = Object.keys(OUTPUT_SCHEMAS).filter(name => !tools.some(tool => tool.name === name));
+  assert(stale.length === 0, `Output schemas for unknown tools: ${stale.join(', ')}`);
+
+  const subscriber = await client.callTool({ name: 'drip_get_subscriber', arguments: { subscriber_id: 'john@acme.com' } });
+  assert(subscriber.structuredContent.email === 'john@acme.com', 'Subscriber should be returned as structuredContent');
+  assert(subscriber.content[0].text === 'Subscriber john@acme.com (active)', `Unexpected summary: ${subscriber.content[0].text}`);
+
+  const campaign = await client.callTool({ name: 'drip_get_campaign', arguments: { campaign_id: '123456' } });
+  assert(campaign.content[0].text === 'Campaign "SEO Email Course" (active)', `Unexpected summary: ${campaign.content[0].text}`);
+
+  const emails = Array.from({ length: 1500 }, (_, i) => `u${i}@example.com`);
+  const batch = await client.callTool({ name: 'drip_batch_unsubscribe', arguments: { subscribers: emails } });
+  assert(batch.structuredContent.records === 1500 && batch.structuredContent.chunks === 2, 'Batch results should count records and chunks');
+  assert(batch.content[0].text === 'Unsubscribed 1500 subscribers in 2 batches', `Unexpected summary: ${batch.content[0].text}`);
+
+  const deleted = await client.callTool({ name: 'drip_delete_subscriber', arguments: { subscriber_id: 'john@acme.com' } });
+  assert(deleted.structuredContent.deleted === true && deleted.content[0].text === 'Subscriber deleted successfully', 'Delete result not structured');
+
+  const limits = await client.callTool({ name: 'drip_rate_limit_status', arguments: {} });
+  assert(limits.structuredContent.normal.remaining === 3598, 'Rate limit status not structured');
+
+  // Failures (the fake has no getWorkflow) stay isError results without structuredContent
+  const failed = await client.callTool({ name: 'drip_get_workflow', arguments: { workflow_id: 'w1' } });
+  assert(failed.isError && failed.structuredContent === undefined, 'Errors should not carry structuredContent');
+
+  await client.close();
+
+  // All output schema tests passed
+}
+
+run().catch((e) => { console.error(e); process.exit(1); });
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseCsv, parseProductFeed, loadProductFeed } from '../product-feed.js';
+import { assert } from './helpers.js';
+
+async function run() {
+  // CSV parsing handles quoted commas, escaped quotes and CRLF line endings
+  const rows = parseCsv('a,b\r\n"x, y","say ""hi"""\r\n\r\n');
+  assert(rows.length === 2, 'Blank lines should be dropped');
+  assert(rows[1][0] === 'x, y' && rows[1][1] === 'say "hi"', 'Quoted cells parsed incorrectly');
+
+  // CSV feeds coerce numeric and list columns
+  const csv = 'product_id,name,price,inventory,categories,sku\np1,Bottle,11.16,42,Accessories|Outdoors,\n';
+  const [product] = parseProductFeed(csv, 'csv');
+  assert(product.price === 11.16 && product.inventory === 42, 'Numeric columns not coerced');
+  assert(product.categories.length === 2 && product.categories[1] === 'Outdoors', 'Categories not split on |');
+  assert(!('sku' in product), 'Empty cells should be omitted');
+
+  // JSON feeds accept a bare array or a { products } wrapper
+  assert(parseProductFeed('{"products":[{"product_id":"p1"}]}', 'json').length === 1, 'JSON wrapper not supported');
+
+  // Format is inferred from the file extension
+  const csvPath = path.join(os.tmpdir(), `drip-feed-${process.pid}.csv`);
+  fs.writeFileSync(csvPath, csv);
+  try {
+    const products = await loadProductFeed(csvPath);
+    assert(products[0].product_id === 'p1', 'CSV feed not loaded from disk');
+  } finally {
+    fs.unlinkSync(csvPath);
+  }
+
+  let threw = false;
+  try { await loadProductFeed('/tmp/feed.xml'); } catch (e) { threw = true; }
+  assert(threw, 'Unsupported feed extensions should throw');
+
+  // With a base directory, feeds outside it are refused
+  const feedDir = fs.mkdtempSync(path.join(os.tmpdir(), 'drip-feeds-'));
+  try {
+    fs.writeFileSync(path.join(feedDir, 'feed.csv'), csv);
+    fs.symlinkSync('/etc/hostname', path.join(feedDir, 'escape.csv'));
+    assert((await loadProductFeed('feed.csv', undefined, { baseDir: feedDir }))[0].product_id === 'p1', 'Relative feed paths should resolve against the base directory');
+    for (const outside of ['../feed.csv', '/etc/passwd', 'escape.csv']) {
+      threw = false;
+      try { await loadProductFeed(outside, 'csv', { baseDir: feedDir }); } catch (e) { threw = /inside the product feed directory|not found/.test(e.message); }
+      assert(threw, `Feed path outside the base directory should be refused: ${outside}`);
+    }
+  } finally {
+    fs.rmSync(feedDir, { recursive: true, force: true });
+  }
+
+  // All product feed tests passed
+}
+
+run().catch((e) => { console.error(e); process.exit(1); });
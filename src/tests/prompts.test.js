@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+import { getPrompt, listPrompts } from '../prompts.js';
+import { assert } from './helpers.js';
+
+function expectInvalidParams(fn, message) {
+  try {
+    fn();
+  } catch (e) {
+    assert(e.code === -32602, `${message}: expected invalid params, got ${e.code}`);
+    return;
+  }
+  throw new Error(`${message}: no error thrown`);
+}
+
+async function run() {
+  const prompts = listPrompts();
+  const names = prompts.map(p => p.name);
+  for (const name of ['onboard_customer', 'investigate_unsubscribe', 'weekly_list_health']) {
+    assert(names.includes(name), `Missing prompt ${name}`);
+  }
+  const onboardArgs = prompts.find(p => p.name === 'onboard_customer').arguments;
+  assert(onboardArgs.find(a => a.name === 'email').required === true, 'email should be required');
+  assert(onboardArgs.find(a => a.name === 'tags').required === false, 'tags should be optional');
+
+  // Onboarding: create, tag, start workflow, in that order
+  const onboard = getPrompt('onboard_customer', { email: 'new@example.com', workflow_id: '77', tags: 'Customer, VIP', first_name: 'Ada' });
+  const text = onboard.messages[0].content.text;
+  assert(onboard.messages[0].role === 'user' && onboard.messages[0].content.type === 'text', 'Prompt should be one user text message');
+  const order = ['drip_create_subscriber', 'drip_tag_subscriber', 'drip_start_workflow'].map(tool => text.indexOf(tool));
+  assert(order.every((pos, i) => pos > 0 && (i === 0 || pos > order[i - 1])), 'Onboarding steps out of order');
+  assert(text.includes('["Customer", "VIP"]') && text.includes('first_name "Ada"'), 'Onboarding arguments not filled in');
+  assert(getPrompt('onboard_customer', { email: 'a@b.com', workflow_id: '1' }).messages[0].content.text.includes('["Customer"]'), 'Default tag missing');
+
+  // Default periods are relative to now
+  const now = new Date('2024-03-31T12:00:00Z');
+  const investigate = getPrompt('investigate_unsubscribe', { email: 'gone@example.com' }, now).messages[0].content.text;
+  assert(investigate.includes('since "2024-03-01"'), 'Unsubscribe investigation should default to 30 days');
+  for (const tool of ['drip_get_subscriber', 'drip_recent_unsubscribes', 'drip_list_campaign_subscriptions']) {
+    assert(investigate.includes(tool), `Investigation should use ${tool}`);
+  }
+  const weekly = getPrompt('weekly_list_health', { tags: 'Lead' }, now).messages[0].content.text;
+  assert(weekly.includes('2024-03-24 to 2024-03-31'), 'Weekly review should default to the last 7 days');
+  assert(weekly.includes('these tags: Lead'), 'Weekly review tags not filled in');
+
+  // Invalid requests
+  expectInvalidParams(() => getPrompt('no_such_prompt'), 'Unknown prompts should be rejected');
+  expectInvalidParams(() => getPrompt('onboard_customer', { email: 'a@b.com' }), 'Missing workflow_id should be rejected');
+  expectInvalidParams(() => getPrompt('weekly_list_health', { since: 'last week' }), 'Bad dates should be rejected');
+
+  // All prompt tests passed
+}
+
+run().catch((e) => { console.error(e); process.exit(1); });
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+import { RateLimiter, rateLimitClass } from '../rate-limiter.js';
+import { assert } from './helpers.js';
+
+async function run() {
+  // Endpoint classes
+  assert(rateLimitClass('/subscribers') === 'normal', 'Subscribers should be a normal endpoint');
+  assert(rateLimitClass('/subscribers/batches') === 'batch', 'v2 batches should be a batch endpoint');
+  assert(rateLimitClass('https://api.getdrip.com/v3/1/shopper_activity/order/batch') === 'batch', 'v3 batch should be a batch endpoint');
+  assert(rateLimitClass('/events?per_page=1') === 'normal', 'Query strings should be ignored');
+
+  // Fake clock: sleeping advances time instead of waiting
+  let now = 0;
+  const sleeps = [];
+  const limiter = new RateLimiter({
+    now: () => now,
+    sleep: async (ms) => { sleeps.push(ms); now += ms; },
+  });
+
+  // Plenty of budget: no delay
+  await limiter.acquire('normal');
+  limiter.update('normal', 200, { 'x-ratelimit-limit': '3600', 'x-ratelimit-remaining': '3500' });
+  await limiter.acquire('normal');
+  assert(sleeps.length === 0, 'Requests with budget left should not wait');
+
+  // Low budget: requests are spaced evenly over the hour
+  limiter.update('normal', 200, { 'x-ratelimit-limit': '3600', 'x-ratelimit-remaining': '100' });
+  await limiter.acquire('normal');
+  assert(sleeps[0] === 1000, `Low budget should space requests by 1s, got ${sleeps[0]}`);
+
+  // Budgets are tracked separately
+  limiter.update('batch', 200, { 'x-ratelimit-limit': '50', 'x-ratelimit-remaining': '49' });
+  const status = limiter.status();
+  assert(status.normal.remaining === 99 && status.normal.throttled, 'Normal budget not tracked');
+  assert(status.batch.remaining === 49 && !status.batch.throttled, 'Batch budget not tracked');
+  assert(status.batch.remaining_source === 'headers', 'Header-reported budget should be marked as such');
+
+  // Exhausted budget (429): wait for the oldest request to leave the window
+  const batchLimiter = new RateLimiter({
+    now: () => now,
+    sleep: async (ms) => { sleeps.push(ms); now += ms; },
+  });
+  const started = now;
+  await batchLimiter.acquire('batch');
+  now += 60 * 1000;
+  batchLimiter.update('batch', 429, {});
+  await batchLimiter.acquire('batch');
+  assert(now - started === 60 * 60 * 1000, `Exhausted budget should wait for the window, waited until ${now - started}`);
+
+  // Retry-After on a 429 says exactly when to resume
+  const resuming = new RateLimiter({ now: () => now, sleep: async (ms) => { sleeps.push(ms); now += ms; } });
+  await resuming.acquire('normal');
+  resuming.update('normal', 429, { 'retry-after': '30' });
+  const resumeFrom = now;
+  await resuming.acquire('normal');
+  assert(now - resumeFrom === 30000, `Retry-After should set the wait, waited ${now - resumeFrom}`);
+
+  // A budget reported used up by other clients (no local history) stays
+  // empty for the window instead of being probed every second, then is
+  // estimated from the rolling window again
+  const exhausted = new RateLimiter({ now: () => now, sleep: async (ms) => { now += ms; } });
+  exhausted.update('normal', 200, { 'x-ratelimit-limit': '3600', 'x-ratelimit-remaining': '0' });
+  const exhaustedFrom = now;
+  await exhausted.acquire('normal');
+  assert(now - exhaustedFrom === 60 * 60 * 1000, `Exhausted budget should stay empty until it resets, waited ${now - exhaustedFrom}`);
+  const afterReset = now;
+  await exhausted.acquire('normal');
+  await exhausted.acquire('normal');
+  assert(now === afterReset && exhausted.status().normal.remaining_source === 'estimate', 'After the reset the budget should be estimated from the window');
+
+  // Without headers the budget is estimated from requests sent
+  const estimating = new RateLimiter({ limits: { batch: 2 }, now: () => now, sleep: async (ms) => { now += ms; } });
+  await estimating.acquire('batch');
+  await estimating.acquire('batch');
+  const before = now;
+  await estimating.acquire('batch');
+  assert(now > before, 'Estimated budget should throttle once used up');
+  assert(estimating.status().batch.remaining_source === 'estimate', 'Estimated budget should be marked as such');
+
+  // A cancelled request stops waiting and does not use up a slot
+  const waiting = new RateLimiter({ limits: { batch: 1 } });
+  await waiting.acquire('batch');
+  const controller = new AbortController();
+  const pending = waiting.acquire('batch', controller.signal);
+  controller.abort();
+  let cancelled = false;
+  try { await pending; } catch (e) { cancelled = e.name === 'DripCancelledError'; }
+  assert(cancelled && waiting.buckets.batch.sent.length === 1, 'Cancelled wait should reject without taking a slot');
+
+  // All rate limiter tests passed
+}
+
+run().catch((e) => { console.error(e); process.exit(1); });
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+import { DripMCPServer } from '../index.js';
+import { DripClient } from '../drip-client.js';
+import { RateLimiter } from '../rate-limiter.js';
+import { parseResourceUri, resourceUri } from '../resources.js';
+import { FakeAxios, assert } from './helpers.js';
+
+async function expectMcpError(promise, code, message) {
+  try {
+    await promise;
+  } catch (e) {
+    assert(e.code === code, `${message}: expected code ${code}, got ${e.code}`);
+    return e;
+  }
+  throw new Error(`${message}: no error thrown`);
+}
+
+async function run() {
+  // URIs
+  assert(resourceUri('subscriber', 'a+b@example.com') === 'drip://subscriber/a%2Bb%40example.com', 'Emails should be encoded in URIs');
+  const parsed = parseResourceUri('drip://subscriber/a%2Bb%40example.com');
+  assert(parsed.kind === 'subscriber' && parsed.id === 'a+b@example.com', 'Subscriber URI not parsed');
+  assert(parseResourceUri('drip://subscriber/a@example.com').id === 'a@example.com', 'Unencoded emails should parse');
+
+  const fx = new FakeAxios();
+  const client = new DripClient('key', '123', {
+    httpClient: fx.create({ baseURL: 'https://api.getdrip.com/v2/123' }),
+    rateLimiter: new RateLimiter({ sleep: async () => {} }),
+    sleep: async () => {},
+  });
+  const server = new DripMCPServer({ dripClient: client, clientFactory: () => client });
+
+  const templates = server.listResourceTemplates().resourceTemplates.map(t => t.uriTemplate);
+  for (const uri of ['drip://subscriber/{email}', 'drip://campaign/{id}', 'drip://workflow/{id}', 'drip://broadcast/{id}']) {
+    assert(templates.includes(uri), `Missing resource template ${uri}`);
+  }
+
+  // Reads unwrap Drip's single-record arrays
+  fx.on('GET', '/subscribers/a%40example.com', () => ({ status: 200, data: { subscribers: [{ email: 'a@example.com', tags: ['Customer'] }] } }));
+  fx.on('GET', '/campaigns/42', () => ({ status: 200, data: { campaigns: [{ id: '42', name: 'Welcome' }] } }));
+  const subscriber = await server.readResource('drip://subscriber/a@example.com');
+  assert(subscriber.contents[0].uri === 'drip://subscriber/a@example.com', 'Read should echo the URI');
+  assert(subscriber.contents[0].mimeType === 'application/json', 'Resources should be JSON');
+  assert(JSON.parse(subscriber.contents[0].text).tags[0] === 'Customer', 'Subscriber record not returned');
+  const campaign = JSON.parse((await server.readResource('drip://campaign/42')).contents[0].text);
+  assert(campaign.name === 'Welcome', 'Campaign record not unwrapped');
+
+  // Errors: unknown kinds and path-like IDs are invalid, Drip 404s are not found
+  await expectMcpError(server.readResource('drip://form/1'), -32602, 'Unknown kinds should be rejected');
+  await expectMcpError(server.readResource('drip://campaign/42/activate'), -32602, 'IDs with slashes should be rejected');
+  fx.on('GET', '/workflows/9', () => ({ status: 404, data: { errors: [{ code: 'not_found_error', message: 'Not found' }] } }));
+  const notFound = await expectMcpError(server.readResource('drip://workflow/9'), -32002, 'Missing records should be not found');
+  assert(notFound.data.uri === 'drip://workflow/9', 'Not-found error should carry the URI');
+
+  // Listing walks each kind page by page, following nextCursor
+  fx.on('GET', '/campaigns?status=all&page=1&per_page=100', () => ({
+    status: 200, data: { campaigns: [{ id: '1', name: 'One', status: 'active' }], meta: { total_pages: 2 } },
+  }));
+  fx.on('GET', '/campaigns?status=all&page=2&per_page=100', () => ({
+    status: 200, data: { campaigns: [{ id: '2', name: 'Two' }], meta: { total_pages: 2 } },
+  }));
+  fx.on('GET', '/subscribers?page=1&per_page=100&status=all', () => ({
+    status: 200, data: { subscribers: [{ email: 'a@example.com' }], meta: { total_pages: 1 } },
+  }));
+
+  const uris = [];
+  let cursor;
+  let pages = 0;
+  do {
+    const page = await server.listResources(cursor);
+    uris.push(...page.resources.map(r => r.uri));
+    cursor = page.nextCursor;
+    pages++;
+  } while (cursor && pages < 10);
+  assert(pages === 5, `Expected 5 listing pages (2 campaigns, workflows, broadcasts, subscribers), got ${pages}`);
+  assert(uris.join() === 'drip://campaign/1,drip://campaign/2,drip://subscriber/a%40example.com', `Unexpected listing: ${uris.join()}`);
+
+  await expectMcpError(server.listResources('not-a-cursor'), -32602, 'Bad cursors should be rejected');
+
+  // All resource tests passed
+}
+
+run().catch((e) => { console.error(e); process.exit(1); });
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+import { isRetryableError, isSafeToRetry, parseRetryAfter, retryDelay, retryPolicyFromEnv } from '../retry.js';
+import { assert } from './helpers.js';
+
+async function run() {
+  let threw = false;
+
+  // Only operations that are safe to repeat
+  assert(isSafeToRetry({ method: 'get', url: '/subscribers?page=2' }), 'GET should be retryable');
+  assert(isSafeToRetry({ method: 'post', url: '/subscribers' }), 'Subscriber upsert should be retryable');
+  assert(isSafeToRetry({ method: 'post', url: '/subscribers/batches' }), 'Subscriber batch upsert should be retryable');
+  assert(isSafeToRetry({ method: 'post', url: 'https://api.getdrip.com/v3/1/shopper_activity/order/batch' }), 'Shopper Activity upsert should be retryable');
+  assert(!isSafeToRetry({ method: 'delete', url: '/subscribers/a%40b.com' }), 'DELETE should not be retryable');
+  assert(isSafeToRetry({ method: 'post', url: 'https://api.getdrip.com/v2/1/subscribers' }), 'Absolute subscriber upsert URLs should be retryable');
+  assert(!isSafeToRetry({ method: 'post', url: '/campaigns/c1/subscribers' }), 'Campaign subscriptions should not be retryable');
+  assert(!isSafeToRetry({ method: 'post', url: '/workflows/w1/subscribers' }), 'Starting a workflow should not be retryable');
+  assert(!isSafeToRetry({ method: 'post', url: '/events' }), 'Event recording should not be retryable');
+  assert(isSafeToRetry({ method: 'post', url: '/events', idempotent: true }), 'Requests can opt in explicitly');
+  assert(!isSafeToRetry({ method: 'get', url: '/subscribers', idempotent: false }), 'Requests can opt out explicitly');
+
+  // Transient failures only
+  assert(isRetryableError({ response: { status: 429 } }), '429 should be retried');
+  assert(isRetryableError({ response: { status: 502 } }), '502 should be retried');
+  assert(!isRetryableError({ response: { status: 422 } }), '422 should not be retried');
+  assert(isRetryableError({ code: 'ECONNRESET' }), 'Connection resets should be retried');
+
+  // Retry-After and backoff
+  assert(parseRetryAfter('5') === 5000, 'Retry-After seconds not parsed');
+  assert(parseRetryAfter('Thu, 01 Jan 1970 00:00:10 GMT', 4000) === 6000, 'Retry-After date not parsed');
+  assert(parseRetryAfter(undefined) === null, 'Missing Retry-After should be null');
+
+  const policy = { retries: 3, baseDelayMs: 1000, maxDelayMs: 5000 };
+  assert(retryDelay(policy, 1, { response: { headers: { 'retry-after': '2' } } }) === 2000, 'Retry-After should win over backoff');
+  assert(retryDelay(policy, 1, { response: { headers: { 'retry-after': '60' } } }) === 5000, 'Retry-After should be capped');
+  assert(retryDelay(policy, 1, {}, () => 0) === 500 && retryDelay(policy, 1, {}, () => 1) === 1000, 'First backoff should be 0.5-1s');
+  assert(retryDelay(policy, 3, {}, () => 1) === 4000, 'Backoff should double per attempt');
+  assert(retryDelay(policy, 6, {}, () => 1) === 5000, 'Backoff should be capped');
+
+  // Environment configuration
+  assert(retryPolicyFromEnv({ DRIP_RETRY_MAX: '0' }).retries === 0, 'DRIP_RETRY_MAX not applied');
+  try { retryPolicyFromEnv({ DRIP_RETRY_MAX: 'lots' }); } catch (e) { threw = true; }
+  assert(threw, 'Invalid retry settings should throw');
+
+  // All retry policy tests passed
+}
+
+run().catch((e) => { console.error(e); process.exit(1); });
@@ -8,6 +8,19 @@ const tests = [
   'src/tests/drip-client.test.js',
   'src/tests/server-tools.test.js',
   'src/tests/server-e2e.test.js',
+  'src/tests/product-feed.test.js',
+  'src/tests/webhook-receiver.test.js',
+  'src/tests/oauth.test.js',
+  'src/tests/rate-limiter.test.js',
+  'src/tests/retry.test.js',
+  'src/tests/subscriber-search.test.js',
+  'src/tests/errors.test.js',
+  'src/tests/resources.test.js',
+  'src/tests/prompts.test.js',
+  'src/tests/http-server.test.js',
+  'src/tests/http-auth.test.js',
+  'src/tests/output-schemas.test.js',
+  'src/tests/tool-filter.test.js',
 ];
 
 // Resolve package root robustly from this file's location so it works
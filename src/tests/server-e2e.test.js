@@ -1,9 +1,16 @@
 #!/usr/bin/env node
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AjvJsonSchemaValidator } from '@modelcontextprotocol/sdk/validation/ajv';
 import { DripMCPServer } from '../index.js';
-import { assert } from './helpers.js';
+import { DripClient } from '../drip-client.js';
+import { RateLimiter } from '../rate-limiter.js';
+import { OUTPUT_SCHEMAS } from '../output-schemas.js';
+import { FakeAxios, assert } from './helpers.js';
 
 class FakeDripClient {
-  constructor() { this.calls = []; }
+  constructor(accountId = 'acc') { this.accountId = accountId; this.calls = []; }
   createOrUpdateSubscriber(d) { this.calls.push(['createOrUpdateSubscriber', d]); return Promise.resolve({ id: 's1', email: d.email }); }
   listSubscribers(p) { this.calls.push(['listSubscribers', p]); return Promise.resolve({ subscribers: [{ email: 'e@example.com' }], meta: {} }); }
   getSubscriber(id) { this.calls.push(['getSubscriber', id]); return Promise.resolve({ id: 's1', email: id }); }
@@ -11,11 +18,21 @@ class FakeDripClient {
   unsubscribeSubscriber(id, c) { this.calls.push(['unsubscribeSubscriber', id, c]); return Promise.resolve({ ok: true }); }
   tagSubscriber(email, tags) { this.calls.push(['tagSubscriber', email, tags]); return Promise.resolve({ ok: true }); }
   removeTag(email, tag) { this.calls.push(['removeTag', email, tag]); return Promise.resolve({ ok: true }); }
+  listTags() { this.calls.push(['listTags']); return Promise.resolve({ tags: ['Customer'] }); }
+  listAll(method, p) { this.calls.push(['listAll', method, p]); return Promise.resolve({ subscribers: [], meta: { truncated: false } }); }
+  listEventActions(p) { this.calls.push(['listEventActions', p]); return Promise.resolve({ event_actions: [], meta: {} }); }
+  findSimilarTags(tags) { return Promise.resolve(tags.includes('customer') ? [{ name: 'customer', similar: ['Customer'] }] : []); }
+  findSimilarEventActions() { return Promise.resolve([]); }
   trackEvent(d) { this.calls.push(['trackEvent', d]); return Promise.resolve({ success: true }); }
   listCampaigns(p) { this.calls.push(['listCampaigns', p]); return Promise.resolve({ campaigns: [] }); }
   subscribeToCampaign(d) { this.calls.push(['subscribeToCampaign', d]); return Promise.resolve({ ok: true }); }
+  getCampaign(id) { this.calls.push(['getCampaign', id]); return Promise.resolve({ campaigns: [{ id }] }); }
+  activateCampaign(id) { this.calls.push(['activateCampaign', id]); return Promise.resolve({ success: true }); }
+  pauseCampaign(id) { this.calls.push(['pauseCampaign', id]); return Promise.resolve({ success: true }); }
+  listCampaignSubscribers(id, p) { this.calls.push(['listCampaignSubscribers', id, p]); return Promise.resolve({ subscribers: [], meta: {} }); }
+  listSubscriberCampaignSubscriptions(id) { this.calls.push(['listSubscriberCampaignSubscriptions', id]); return Promise.resolve({ campaign_subscriptions: [] }); }
   batchCreateSubscribers(subs) { this.calls.push(['batchCreateSubscribers', subs]); return Promise.resolve({ ok: true }); }
-  searchSubscribers(p) { this.calls.push(['searchSubscribers', p]); return Promise.resolve({ subscribers: [], meta: {} }); }
+  searchSubscribers(p) { this.calls.push(['searchSubscribers', p]); return Promise.resolve({ subscribers: [], meta: { matched_count: 0, scanned_count: 0, pages_fetched: 1, total_count: 0, complete: true, stop_reason: null, filters: {} } }); }
   batchUnsubscribe(subs) { this.calls.push(['batchUnsubscribe', subs]); return Promise.resolve({ ok: true }); }
   getRecentUnsubscribes(p) { this.calls.push(['getRecentUnsubscribes', p]); return Promise.resolve({ subscribers: [], meta: {} }); }
   getUnsubscribeStats(p) { this.calls.push(['getUnsubscribeStats', p]); return Promise.resolve({ total: 0, by_date: {} }); }
@@ -24,19 +41,50 @@ class FakeDripClient {
   pauseWorkflow(id) { this.calls.push(['pauseWorkflow', id]); return Promise.resolve({ ok: true }); }
   startWorkflowForSubscriber(id, email) { this.calls.push(['startWorkflowForSubscriber', id, email]); return Promise.resolve({ ok: true }); }
   removeFromWorkflow(id, email) { this.calls.push(['removeFromWorkflow', id, email]); return Promise.resolve({ success: true }); }
+  getWorkflow(id) { this.calls.push(['getWorkflow', id]); return Promise.resolve({ workflows: [{ id }] }); }
+  listWorkflowTriggers(id) { this.calls.push(['listWorkflowTriggers', id]); return Promise.resolve({ triggers: [] }); }
+  createWorkflowTrigger(id, t) { this.calls.push(['createWorkflowTrigger', id, t]); return Promise.resolve({ id: 't1' }); }
+  updateWorkflowTrigger(id, tid, t) { this.calls.push(['updateWorkflowTrigger', id, tid, t]); return Promise.resolve({ id: tid }); }
   listForms(p) { this.calls.push(['listForms', p]); return Promise.resolve({ forms: [] }); }
-  getForm(id) { this.calls.push(['getForm', id]); return Promise.resolve({ form: {} }); }
+  getForm(id) { this.calls.push(['getForm', id]); return Promise.resolve({ forms: [{ id }] }); }
   listBroadcasts(p) { this.calls.push(['listBroadcasts', p]); return Promise.resolve({ broadcasts: [] }); }
-  getBroadcast(id) { this.calls.push(['getBroadcast', id]); return Promise.resolve({ broadcast: {} }); }
+  getBroadcast(id) { this.calls.push(['getBroadcast', id]); return Promise.resolve({ broadcasts: [{ id }] }); }
   recordConversion(d) { this.calls.push(['recordConversion', d]); return Promise.resolve({ success: true }); }
+  listConversions(p) { this.calls.push(['listConversions', p]); return Promise.resolve({ goals: [] }); }
+  getConversion(id) { this.calls.push(['getConversion', id]); return Promise.resolve({ id }); }
   recordPurchase(d) { this.calls.push(['recordPurchase', d]); return Promise.resolve({ success: true }); }
+  upsertCart(d) { this.calls.push(['upsertCart', d]); return Promise.resolve({ request_id: 'r1' }); }
+  batchUpsertCarts(carts) { this.calls.push(['batchUpsertCarts', carts]); return Promise.resolve({ request_ids: [] }); }
+  upsertOrder(d) { this.calls.push(['upsertOrder', d]); return Promise.resolve({ request_id: 'r2' }); }
+  batchUpsertOrders(orders) { this.calls.push(['batchUpsertOrders', orders]); return Promise.resolve({ request_ids: [] }); }
+  orderTotalMismatch() { return null; }
+  upsertProduct(d) { this.calls.push(['upsertProduct', d]); return Promise.resolve({ request_id: 'r3' }); }
+  batchUpsertProducts(products) { this.calls.push(['batchUpsertProducts', products]); return Promise.resolve({ request_ids: [] }); }
+  syncProductCatalog(products, o) { this.calls.push(['syncProductCatalog', products, o]); return Promise.resolve({ total: products.length, submitted_create: products.length, submitted_update: 0, submitted_delete: 0, failed: 0, errors: [], request_ids: [] }); }
+  listWebhooks() { this.calls.push(['listWebhooks']); return Promise.resolve({ webhooks: [] }); }
+  getWebhook(id) { this.calls.push(['getWebhook', id]); return Promise.resolve({ id }); }
+  createWebhook(d) { this.calls.push(['createWebhook', d]); return Promise.resolve({ id: 'wh1' }); }
+  deleteWebhook(id) { this.calls.push(['deleteWebhook', id]); return Promise.resolve({ success: true }); }
   getAccount() { this.calls.push(['getAccount']); return Promise.resolve({ account: { id: 'acc' } }); }
-  listCustomFields() { this.calls.push(['listCustomFields']); return Promise.resolve({ identifiers: [] }); }
+  getRateLimitStatus() { this.calls.push(['getRateLimitStatus']); return { normal: { limit: 3600, remaining: 3600 }, batch: { limit: 50, remaining: 50 } }; }
+  listAccounts() { this.calls.push(['listAccounts']); return Promise.resolve({ accounts: [{ id: 'acc' }, { id: '2222222' }] }); }
+  listCustomFields() { this.calls.push(['listCustomFields']); return Promise.resolve({ custom_field_identifiers: [] }); }
 }
 
 async function run() {
   const fake = new FakeDripClient();
-  const server = new DripMCPServer({ dripClient: fake });
+  const accountClients = [];
+  const server = new DripMCPServer({
+    dripClient: fake,
+    clientFactory: (accountId) => {
+      const client = new FakeDripClient(accountId);
+      accountClients.push(client);
+      return client;
+    },
+  });
+
+  const feedPath = path.join(os.tmpdir(), `drip-feed-${process.pid}.json`);
+  fs.writeFileSync(feedPath, JSON.stringify([{ product_id: 'p1', name: 'Bottle', price: 1 }]));
 
   // Minimal smoke tests for a representative set of tools
   const cases = [
@@ -48,8 +96,15 @@ async function run() {
     ['drip_tag_subscriber', { email: 'a@b.com', tags: ['x'] }],
     ['drip_remove_tag', { email: 'a@b.com', tag: 'x' }],
     ['drip_track_event', { email: 'a@b.com', action: 'X' }],
+    ['drip_list_tags', {}],
+    ['drip_list_event_actions', { per_page: 100 }],
     ['drip_list_campaigns', {}],
     ['drip_subscribe_to_campaign', { campaign_id: 'c1', email: 'a@b.com' }],
+    ['drip_get_campaign', { campaign_id: 'c1' }],
+    ['drip_activate_campaign', { campaign_id: 'c1' }],
+    ['drip_pause_campaign', { campaign_id: 'c1' }],
+    ['drip_list_campaign_subscribers', { campaign_id: 'c1', status: 'active' }],
+    ['drip_list_campaign_subscriptions', { subscriber_id: 'a@b.com' }],
     ['drip_batch_create_subscribers', { subscribers: [{ email: 'a@b.com' }] }],
     ['drip_search_subscribers', { email: 'a' }],
     ['drip_batch_unsubscribe', { subscribers: ['a@b.com'] }],
@@ -60,22 +115,176 @@ async function run() {
     ['drip_pause_workflow', { workflow_id: 'w1' }],
     ['drip_start_workflow', { workflow_id: 'w1', email: 'a@b.com' }],
     ['drip_remove_from_workflow', { workflow_id: 'w1', email: 'a@b.com' }],
+    ['drip_get_workflow', { workflow_id: 'w1' }],
+    ['drip_list_workflow_triggers', { workflow_id: 'w1' }],
+    ['drip_create_workflow_trigger', { workflow_id: 'w1', provider: 'drip', trigger_type: 'applied_tag' }],
+    ['drip_update_workflow_trigger', { workflow_id: 'w1', trigger_id: 't1', provider: 'drip', trigger_type: 'applied_tag' }],
     ['drip_list_forms', {}],
     ['drip_get_form', { form_id: 'f1' }],
     ['drip_list_broadcasts', {}],
     ['drip_get_broadcast', { broadcast_id: 'b1' }],
     ['drip_record_conversion', { email: 'a@b.com', action: 'Converted' }],
+    ['drip_list_conversions', { status: 'active' }],
+    ['drip_get_conversion', { conversion_id: 'g1' }],
     ['drip_record_purchase', { email: 'a@b.com', amount: 1 }],
+    ['drip_upsert_cart', { provider: 'my_store', email: 'a@b.com', action: 'created', cart_id: 'c1', cart_url: 'https://x.test/c1' }],
+    ['drip_batch_upsert_carts', { carts: [{ cart_id: 'c1' }] }],
+    ['drip_upsert_order', { provider: 'my_store', email: 'a@b.com', action: 'placed', order_id: 'o1' }],
+    ['drip_batch_upsert_orders', { orders: [{ order_id: 'o1' }] }],
+    ['drip_upsert_product', { provider: 'my_store', action: 'created', product_id: 'p1', name: 'Bottle', price: 1 }],
+    ['drip_batch_upsert_products', { products: [{ product_id: 'p1' }] }],
+    ['drip_sync_product_feed', { file_path: feedPath, provider: 'my_store' }],
+    ['drip_list_webhooks', {}],
+    ['drip_get_webhook', { webhook_id: 'wh1' }],
+    ['drip_create_webhook', { post_url: 'https://hooks.example.com/drip', events: ['subscriber.created'] }],
+    ['drip_delete_webhook', { webhook_id: 'wh1' }],
+    ['drip_list_webhook_events', { email: 'a@b.com' }],
     ['drip_get_account', {}],
+    ['drip_list_accounts', {}],
+    ['drip_rate_limit_status', {}],
     ['drip_list_custom_fields', {}],
   ];
 
+  // Every result carries a summary and structuredContent matching the tool's outputSchema
+  const validator = new AjvJsonSchemaValidator();
   for (const [tool, args] of cases) {
     const res = await server.callTool(tool, args);
     assert(res && res.content && Array.isArray(res.content), `No content for ${tool}`);
-    assert(typeof res.content[0].text === 'string', `No text content for ${tool}`);
+    assert(!res.isError && typeof res.content[0].text === 'string', `No text content for ${tool}`);
+    assert(JSON.stringify(res.structuredContent, null, 2) === res.content[1].text, `JSON text should mirror structuredContent for ${tool}`);
+    const { valid, errorMessage } = validator.getValidator(OUTPUT_SCHEMAS[tool])(res.structuredContent);
+    assert(valid, `${tool} result does not match its outputSchema: ${errorMessage}`);
   }
 
+  fs.unlinkSync(feedPath);
+  assert(fake.calls.some(c => c[0] === 'syncProductCatalog' && c[1].length === 1), 'Product feed was not synced');
+  assert(!fake.calls.find(c => c[0] === 'recordConversion')[1].check_goal, 'check_goal should be opt-in');
+
+  const tagged = await server.callTool('drip_tag_subscriber', { email: 'a@b.com', tags: ['customer'] });
+  assert(tagged.content.some(c => c.text.includes('similar to existing tag(s) "Customer"')), 'Near-match tag warning missing');
+
+  // fetch_all collects every page through listAll
+  await server.callTool('drip_list_subscribers', { status: 'active', fetch_all: true, max_records: 50 });
+  const listAllCall = fake.calls.find(c => c[0] === 'listAll');
+  assert(listAllCall && listAllCall[1] === 'listSubscribers' && listAllCall[2].max_records === 50, 'fetch_all should use listAll');
+  assert(listAllCall[2].status === 'active' && !('fetch_all' in listAllCall[2]), 'fetch_all args not passed through correctly');
+
+  // account_id routes to a lazily created, cached client for that account
+  await server.callTool('drip_get_subscriber', { subscriber_id: 'a@b.com', account_id: '2222222' });
+  await server.callTool('drip_list_subscribers', { account_id: '2222222' });
+  assert(accountClients.length === 1 && accountClients[0].accountId === '2222222', 'Account client not created once');
+  assert(accountClients[0].calls.map(c => c[0]).join() === 'getSubscriber,listSubscribers', 'Calls not routed to account client');
+  assert(!('account_id' in accountClients[0].calls[1][1]), 'account_id should not be passed to the client');
+  const defaultCalls = fake.calls.length;
+  await server.callTool('drip_get_subscriber', { subscriber_id: 'a@b.com', account_id: 'acc' });
+  assert(fake.calls.length === defaultCalls + 1 && accountClients.length === 1, 'Default account_id should use the default client');
+  const badAccount = await server.callTool('drip_get_subscriber', { subscriber_id: 'a@b.com', account_id: '../admin' });
+  assert(badAccount.isError && badAccount.content[0].text.includes('Drip account IDs are numeric'), 'Non-numeric account_id should be rejected');
+  assert(accountClients.length === 1, 'No client should be created for a non-numeric account_id');
+  for (let i = 0; i < 60; i++) {
+    await server.callTool('drip_get_subscriber', { subscriber_id: 'a@b.com', account_id: String(9000000 + i) });
+  }
+  assert(server.accountClients.size === 50 && !server.accountClients.has('2222222'), 'Account client cache should stay bounded');
+
+  const listed = await server.callTool('drip_list_accounts', {});
+  assert(listed.structuredContent.default_account_id === 'acc', 'drip_list_accounts should report the default account');
+
+  // HTTP attempts, including retries, are reported in the result metadata
+  const fx = new FakeAxios();
+  let failures = 1;
+  fx.on('GET', '/subscribers/a%40b.com', () => (failures-- > 0
+    ? { status: 503, data: {} }
+    : { status: 200, data: { subscribers: [{ email: 'a@b.com' }] } }));
+  const liveServer = new DripMCPServer({
+    dripClient: fake,
+    clientFactory: (accountId) => new DripClient('key', accountId, {
+      httpClient: fx.create({ baseURL: `https://api.getdrip.com/v2/${accountId}` }),
+      rateLimiter: new RateLimiter({ sleep: async () => {} }),
+      sleep: async () => {},
+      onAttempt: (attempt) => liveServer.recordAttempt(attempt),
+      currentSignal: () => liveServer.callContext.getStore()?.signal,
+    }),
+  });
+  const retried = await liveServer.callTool('drip_get_subscriber', { subscriber_id: 'a@b.com', account_id: '3333333' });
+  assert(retried._meta.attempts.length === 2, 'Attempts missing from result metadata');
+  assert(retried._meta.attempts[0].status === 503 && retried._meta.attempts[1].status === 200, 'Attempt outcomes not reported');
+
+  fx.on('DELETE', '/subscribers/a%40b.com', () => ({ status: 500, data: {} }));
+  const failed = await liveServer.callTool('drip_delete_subscriber', { subscriber_id: 'a@b.com', account_id: '3333333' });
+  assert(failed.isError && failed._meta.attempts.length === 1, 'Failed attempts not reported');
+  const failure = JSON.parse(failed.content[0].text).error;
+  assert(failure.type === 'server' && failure.status === 500 && failure.path === '/subscribers/a%40b.com', 'Structured error body missing');
+
+  // Drip doesn't deduplicate events, so a dedupe_key doesn't make them retryable
+  fx.on('POST', '/events', () => ({ status: 502, data: {} }));
+  const eventPostsBefore = fx.calls.filter(c => c.path === '/events').length;
+  const event = await liveServer.callTool('drip_track_event', { email: 'a@b.com', action: 'Viewed', dedupe_key: 'view-1', account_id: '3333333' });
+  assert(event.isError && event._meta.attempts.filter(a => a.method === 'POST').length === 1, 'Event with dedupe_key should not be retried');
+  assert(fx.calls.filter(c => c.path === '/events').length - eventPostsBefore === 1, 'Event should be POSTed once');
+
+  fx.on('GET', '/subscribers/missing%40b.com', () => ({ status: 404, data: { errors: [{ code: 'not_found_error', message: 'The resource you requested was not found' }] } }));
+  const missing = await liveServer.callTool('drip_get_subscriber', { subscriber_id: 'missing@b.com', account_id: '3333333' });
+  assert(missing.isError && JSON.parse(missing.content[0].text).error.type === 'not_found', 'Not-found errors should be typed');
+
+  // Progress notifications per chunk when the caller sends a progressToken
+  const notifications = [];
+  const progressExtra = {
+    _meta: { progressToken: 'import-1' },
+    sendNotification: async (notification) => { notifications.push(notification); },
+  };
+  const subscribers = Array.from({ length: 1500 }, (_, i) => ({ email: `p${i}@example.com` }));
+  const imported = await liveServer.callTool('drip_batch_create_subscribers', { subscribers, account_id: '3333333' }, progressExtra);
+  assert(!imported.isError, 'Batch import failed');
+  assert(notifications.length === 2 && notifications.every(n => n.method === 'notifications/progress'), 'Expected one progress notification per chunk');
+  const [first, second] = notifications.map(n => n.params);
+  assert(first.progressToken === 'import-1' && first.progress === 1000 && first.total === 1500, 'First chunk progress incorrect');
+  assert(second.progress === 1500 && second.message === 'Chunk 2 of 2: 1500 of 1500 records', `Unexpected progress message: ${second.message}`);
+  await liveServer.callTool('drip_batch_create_subscribers', { subscribers, account_id: '3333333' });
+  assert(notifications.length === 2, 'No progress should be sent without a progressToken');
+
+  // Cancelling the request stops the batch after the chunk in progress
+  const controller = new AbortController();
+  const cancelExtra = {
+    signal: controller.signal,
+    _meta: { progressToken: 'import-2' },
+    sendNotification: async () => controller.abort(),
+  };
+  const batchesBefore = fx.calls.filter(c => c.path === '/subscribers/batches').length;
+  const cancelled = await liveServer.callTool('drip_batch_create_subscribers', { subscribers, account_id: '3333333' }, cancelExtra);
+  const cancellation = JSON.parse(cancelled.content[0].text).error;
+  assert(cancelled.isError && cancellation.type === 'cancelled', 'Cancelled batch should report a cancellation');
+  assert(cancellation.total_chunks === 2 && cancellation.committed_chunks[0].records.join() === '0,999', 'Committed chunks should be reported');
+  assert(fx.calls.filter(c => c.path === '/subscribers/batches').length - batchesBefore === 1, 'No chunks should be sent after cancelling');
+
+  const requestsBefore = fx.calls.length;
+  const skipped = await liveServer.callTool('drip_get_subscriber', { subscriber_id: 'a@b.com', account_id: '3333333' }, { signal: controller.signal });
+  assert(skipped.isError && fx.calls.length === requestsBefore, 'Requests of a cancelled call should not be sent');
+
+  // dry_run returns the requests a write tool would send without sending them
+  const dryRunBefore = fx.calls.length;
+  const dryRun = await liveServer.callTool('drip_batch_unsubscribe', { subscribers: subscribers.map(s => s.email), account_id: '3333333', dry_run: true });
+  assert(fx.calls.length === dryRunBefore, 'Dry runs must not call Drip');
+  assert(dryRun.structuredContent.dry_run === true && dryRun.structuredContent.requests.length === 2, 'Dry run should list one request per chunk');
+  assert(dryRun.content[0].text === 'Dry run, nothing sent: 2 requests (POST /v2/3333333/unsubscribes/batches) in 2 batches', `Unexpected dry run summary: ${dryRun.content[0].text}`);
+  const dryRunCheck = validator.getValidator(OUTPUT_SCHEMAS.drip_batch_unsubscribe)(dryRun.structuredContent);
+  assert(dryRunCheck.valid, `Dry run does not match the outputSchema: ${dryRunCheck.errorMessage}`);
+  const dryRunInvalid = await liveServer.callTool('drip_track_event', { email: 'nope', action: 'Signed up', account_id: '3333333', dry_run: true });
+  assert(dryRunInvalid.isError && /Invalid email/.test(JSON.parse(dryRunInvalid.content[0].text).error.message), 'Dry runs should report validation errors');
+  const deletesBefore = fx.calls.filter(c => c.method === 'delete').length;
+  for (const dryRunValue of ['true', 1]) {
+    const notBoolean = await liveServer.callTool('drip_delete_subscriber', { subscriber_id: 'a@b.com', account_id: '3333333', dry_run: dryRunValue });
+    assert(notBoolean.isError && JSON.parse(notBoolean.content[0].text).error.type === 'invalid_request', 'A non-boolean dry_run should be rejected');
+  }
+  assert(fx.calls.filter(c => c.method === 'delete').length === deletesBefore, 'A non-boolean dry_run must not send the delete');
+  const mismatchedOrder = { provider: 'my_store', email: 'a@b.com', action: 'placed', order_id: 'o9', grand_total: 30, items: [{ name: 'Bottle', total: 20 }] };
+  const dryRunOrder = await liveServer.callTool('drip_upsert_order', { ...mismatchedOrder, account_id: '3333333', dry_run: true });
+  assert(dryRunOrder.content.some(c => c.text.startsWith('Warning: Order o9 line-item totals')), 'Mismatched order totals should add a warning');
+  const notDryRun = await liveServer.callTool('drip_get_subscriber', { subscriber_id: 'a@b.com', account_id: '3333333', dry_run: true });
+  assert(notDryRun.structuredContent.email === 'a@b.com', 'Read tools ignore dry_run');
+
+  const invalid = await server.callTool('drip_no_such_tool', {});
+  assert(invalid.isError && JSON.parse(invalid.content[0].text).error.type === 'invalid_request', 'Unknown tools should be invalid_request');
+
   // All server e2e handler tests passed
 }
 
@@ -10,19 +10,30 @@ const expectedTools = [
   // Subscribers
   'drip_create_subscriber', 'drip_list_subscribers', 'drip_get_subscriber', 'drip_delete_subscriber',
   'drip_unsubscribe', 'drip_tag_subscriber', 'drip_remove_tag', 'drip_track_event',
+  'drip_list_tags', 'drip_list_event_actions',
   // Campaigns & batch
+  'drip_get_campaign', 'drip_activate_campaign', 'drip_pause_campaign', 'drip_list_campaign_subscribers',
+  'drip_list_campaign_subscriptions',
   'drip_list_campaigns', 'drip_subscribe_to_campaign', 'drip_batch_create_subscribers', 'drip_search_subscribers',
   'drip_batch_unsubscribe',
   // Unsubscribes analytics
   'drip_recent_unsubscribes', 'drip_unsubscribe_stats',
   // Workflows
   'drip_list_workflows', 'drip_activate_workflow', 'drip_pause_workflow', 'drip_start_workflow', 'drip_remove_from_workflow',
+  'drip_get_workflow', 'drip_list_workflow_triggers', 'drip_create_workflow_trigger', 'drip_update_workflow_trigger',
   // Forms & broadcasts
   'drip_list_forms', 'drip_get_form', 'drip_list_broadcasts', 'drip_get_broadcast',
   // Conversions & purchases
   'drip_record_conversion', 'drip_record_purchase',
+  'drip_list_conversions', 'drip_get_conversion',
+  // Shopper Activity
+  'drip_upsert_cart', 'drip_batch_upsert_carts', 'drip_upsert_order', 'drip_batch_upsert_orders',
+  'drip_upsert_product', 'drip_batch_upsert_products', 'drip_sync_product_feed',
+  // Webhooks
+  'drip_list_webhooks', 'drip_get_webhook', 'drip_create_webhook', 'drip_delete_webhook',
+  'drip_list_webhook_events',
   // Account & fields
-  'drip_get_account', 'drip_list_custom_fields',
+  'drip_get_account', 'drip_list_accounts', 'drip_list_custom_fields', 'drip_rate_limit_status',
 ];
 
 // Verify tool names are present in the tools list definition
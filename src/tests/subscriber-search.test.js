@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+import { buildSubscriberSearch } from '../subscriber-search.js';
+import { assert } from './helpers.js';
+
+const jane = {
+  email: 'jane@example.com',
+  tags: ['Customer', 'VIP'],
+  lead_score: 72,
+  created_at: '2024-03-01T00:00:00Z',
+  custom_fields: { plan: 'Premium', seats: '12' },
+};
+const john = {
+  email: 'john@test.com',
+  tags: ['Customer'],
+  lead_score: 20,
+  created_at: '2023-06-01T00:00:00Z',
+  custom_fields: { plan: 'basic' },
+};
+
+async function run() {
+  let threw = false;
+
+  // Server-side filters go into the query
+  const search = buildSubscriberSearch({
+    status: 'active',
+    tags: ['Customer', 'VIP'],
+    created_after: '2024-01-01T00:00:00Z',
+    subscribed_before: '2025-01-01T00:00:00Z',
+  });
+  assert(search.query.get('status') === 'active', 'status not sent');
+  assert(search.query.get('tags') === 'Customer,VIP', 'tags not sent');
+  assert(search.query.get('subscribed_after') === '2024-01-01T00:00:00.000Z', 'created_after should narrow via subscribed_after');
+  assert(search.query.get('subscribed_before') === '2025-01-01T00:00:00.000Z', 'subscribed_before not sent');
+  assert(search.filters.local.includes('tags (all)') && search.filters.local.includes('created_at'), 'Local filters not reported');
+  assert(search.matches(jane) && !search.matches(john), 'All-tags and created_at filters not applied');
+
+  const anyTag = buildSubscriberSearch({ tags: ['VIP', 'Lead'], tag_match: 'any' });
+  assert(anyTag.filters.local.length === 0 && anyTag.matches(john), 'tag_match any should be left to Drip');
+
+  // Lead score ranges
+  const scored = buildSubscriberSearch({ lead_score_min: 50, lead_score_max: 80 });
+  assert(scored.matches(jane) && !scored.matches(john), 'Lead score range not applied');
+
+  // Custom field predicates
+  const predicates = buildSubscriberSearch({
+    custom_fields: [
+      { field: 'plan', op: 'eq', value: 'premium' },
+      { field: 'seats', op: 'gte', value: 10 },
+    ],
+  });
+  assert(predicates.matches(jane) && !predicates.matches(john), 'Custom field predicates not applied');
+  assert(buildSubscriberSearch({ custom_fields: [{ field: 'seats', op: 'not_exists' }] }).matches(john), 'not_exists not applied');
+  assert(buildSubscriberSearch({ custom_fields: [{ field: 'plan', op: 'in', value: ['basic', 'pro'] }] }).matches(john), 'in not applied');
+  assert(buildSubscriberSearch({ custom_field_filters: { plan: 'basic' } }).matches(john), 'custom_field_filters shorthand not applied');
+  assert(buildSubscriberSearch({ email: 'EXAMPLE' }).matches(jane), 'Email match should ignore case');
+
+  try { buildSubscriberSearch({ custom_fields: [{ field: 'plan', op: 'like', value: 'x' }] }); } catch (e) { threw = /Invalid custom field operator/.test(e.message); }
+  assert(threw, 'Unknown operator should throw');
+
+  threw = false;
+  try { buildSubscriberSearch({ created_after: 'yesterday-ish' }); } catch (e) { threw = true; }
+  assert(threw, 'Invalid date should throw');
+
+  // All subscriber search tests passed
+}
+
+run().catch((e) => { console.error(e); process.exit(1); });
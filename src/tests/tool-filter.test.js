@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { DripMCPServer } from '../index.js';
+import { toolDisabledReason, toolFilterFromEnv } from '../tool-filter.js';
+import { assert } from './helpers.js';
+
+async function connect(server) {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.server.connect(serverTransport);
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  await client.connect(clientTransport);
+  return client;
+}
+
+async function run() {
+  // Settings from the environment
+  const defaults = toolFilterFromEnv({});
+  assert(defaults.mode === 'full' && defaults.allow === null && defaults.deny === null, 'Unexpected defaults');
+  assert(toolFilterFromEnv({ DRIP_MODE: 'READONLY' }).mode === 'readonly', 'DRIP_MODE should be case-insensitive');
+  let threw = false;
+  try { toolFilterFromEnv({ DRIP_MODE: 'safe' }); } catch (e) { threw = /Invalid DRIP_MODE/.test(e.message); }
+  assert(threw, 'Unknown modes should be rejected');
+
+  const readonly = toolFilterFromEnv({ DRIP_MODE: 'readonly' });
+  assert(toolDisabledReason(readonly, 'drip_get_subscriber', true) === null, 'Read tools stay enabled in read-only mode');
+  assert(/read-only/.test(toolDisabledReason(readonly, 'drip_tag_subscriber', false)), 'Write tools are disabled in read-only mode');
+
+  const lists = toolFilterFromEnv({ DRIP_ALLOWED_TOOLS: 'drip_list_*, drip_get_subscriber', DRIP_DENIED_TOOLS: 'drip_list_webhook*' });
+  assert(toolDisabledReason(lists, 'drip_list_campaigns', true) === null, 'Wildcards should match');
+  assert(toolDisabledReason(lists, 'drip_get_subscriber', true) === null, 'Exact names should match');
+  assert(/DRIP_ALLOWED_TOOLS/.test(toolDisabledReason(lists, 'drip_get_campaign', true)), 'Tools outside the allow list are disabled');
+  assert(/DRIP_DENIED_TOOLS/.test(toolDisabledReason(lists, 'drip_list_webhook_events', true)), 'The deny list wins over the allow list');
+  assert(toolDisabledReason(toolFilterFromEnv({ DRIP_ALLOWED_TOOLS: 'drip_list_tags' }), 'drip_list_tags_x', true) !== null, 'Patterns match whole names');
+
+  const calls = [];
+  const fake = {
+    accountId: 'acc',
+    getSubscriber: (id) => { calls.push('getSubscriber'); return Promise.resolve({ email: id }); },
+    deleteSubscriber: () => { calls.push('deleteSubscriber'); return Promise.resolve(true); },
+  };
+
+  // Every tool is annotated
+  const full = await connect(new DripMCPServer({ dripClient: fake, clientFactory: () => fake, toolFilter: defaults }));
+  const { tools } = await full.listTools();
+  const byName = Object.fromEntries(tools.map(tool => [tool.name, tool.annotations]));
+  assert(tools.every(tool => ['readOnlyHint', 'destructiveHint', 'idempotentHint'].every(hint => typeof tool.annotations?.[hint] === 'boolean')), 'Every tool needs annotations');
+  assert(byName.drip_get_subscriber.readOnlyHint && !byName.drip_get_subscriber.destructiveHint, 'Reads should be read-only');
+  assert(byName.drip_delete_subscriber.destructiveHint && byName.drip_batch_unsubscribe.destructiveHint, 'Deletes and unsubscribes should be destructive');
+  assert(!byName.drip_track_event.readOnlyHint && !byName.drip_track_event.destructiveHint && !byName.drip_track_event.idempotentHint, 'Events are additive and not idempotent');
+  assert(byName.drip_tag_subscriber.idempotentHint, 'Tagging is idempotent');
+  assert(byName.drip_rate_limit_status.openWorldHint === false && byName.drip_get_subscriber.openWorldHint === true, 'Local tools should not be open-world');
+  await full.close();
+
+  // Read-only servers hide and refuse mutating tools
+  const server = new DripMCPServer({ dripClient: fake, clientFactory: () => fake, toolFilter: readonly });
+  const client = await connect(server);
+  const readonlyTools = (await client.listTools()).tools;
+  assert(readonlyTools.length > 0 && readonlyTools.every(tool => tool.annotations.readOnlyHint), 'Read-only mode should only list read tools');
+  assert((await client.callTool({ name: 'drip_get_subscriber', arguments: { subscriber_id: 'a@b.com' } })).structuredContent.email === 'a@b.com', 'Read tools should work');
+
+  let refused = null;
+  try {
+    await client.callTool({ name: 'drip_delete_subscriber', arguments: { subscriber_id: 'a@b.com' } });
+  } catch (e) {
+    refused = e;
+  }
+  assert(refused && refused.code === -32600 && /read-only mode/.test(refused.message) && refused.data.mode === 'readonly', 'Mutating tools should be refused');
+  threw = false;
+  try { await server.callTool('drip_delete_subscriber', { subscriber_id: 'a@b.com' }); } catch (e) { threw = /disabled/.test(e.message); }
+  assert(threw && !calls.includes('deleteSubscriber'), 'Refused tools must not reach Drip');
+  await client.close();
+
+  // All tool filter tests passed
+}
+
+run().catch((e) => { console.error(e); process.exit(1); });
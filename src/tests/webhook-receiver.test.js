@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DripMCPServer } from '../index.js';
+import { WebhookEventStore } from '../webhook-receiver.js';
+import { assert } from './helpers.js';
+
+const fixtures = [
+  {
+    event: 'subscriber.created',
+    data: { account_id: '9999999', subscriber: { id: 's1', email: 'Jane@Example.com' } },
+    occurred_at: '2025-09-01T09:00:00Z',
+  },
+  {
+    event: 'subscriber.applied_tag',
+    data: { account_id: '9999999', subscriber: { id: 's1', email: 'jane@example.com' }, properties: { tag: 'Customer' } },
+    occurred_at: '2025-09-01T10:00:00Z',
+  },
+  {
+    event: 'subscriber.unsubscribed_all',
+    data: { account_id: '9999999', subscriber: { id: 's2', email: 'john@example.com' } },
+    occurred_at: '2025-09-02T08:00:00Z',
+  },
+  {
+    event: 'subscriber.bounced',
+    data: { account_id: '9999999', subscriber: { id: 's1', email: 'jane@example.com' } },
+    occurred_at: '2025-09-03T08:00:00Z',
+  },
+];
+
+async function post(url, body) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+  return res.status;
+}
+
+function parse(result) {
+  return result.structuredContent;
+}
+
+async function run() {
+  const storePath = path.join(os.tmpdir(), `drip-webhooks-${process.pid}.jsonl`);
+  const server = new DripMCPServer({ dripClient: {}, webhookStore: new WebhookEventStore(storePath) });
+  const address = await server.startWebhookReceiver({ port: 0, host: '127.0.0.1', path: '/drip/webhooks', secret: 's3cret' });
+  const url = `http://127.0.0.1:${address.port}/drip/webhooks?token=s3cret`;
+
+  try {
+    for (const fixture of fixtures) {
+      assert(await post(url, fixture) === 202, `Fixture ${fixture.event} was not accepted`);
+    }
+
+    // Invalid requests are rejected and not stored
+    assert(await post(url, { event: 'order.created', data: {} }) === 400, 'Unknown events should be rejected');
+    assert(await post(url, '{not json') === 400, 'Invalid JSON should be rejected');
+    assert(await post(url.replace('s3cret', 'wrong'), fixtures[0]) === 401, 'Wrong token should be rejected');
+    assert(await post(url.replace('/drip/webhooks', '/other'), fixtures[0]) === 404, 'Unknown paths should 404');
+
+    // Filter by email (case-insensitive), most recent first
+    const jane = parse(await server.callTool('drip_list_webhook_events', { email: 'JANE@example.com' }));
+    assert(jane.events.length === 3, 'Email filter incorrect');
+    assert(jane.events[0].event === 'subscriber.bounced', 'Events should be sorted most recent first');
+
+    // Filter by event type and time range
+    const tagged = parse(await server.callTool('drip_list_webhook_events', { event: ['subscriber.applied_tag'] }));
+    assert(tagged.events.length === 1 && tagged.events[0].data.properties.tag === 'Customer', 'Event filter incorrect');
+
+    const ranged = parse(await server.callTool('drip_list_webhook_events', { since: '2025-09-01T09:30:00Z', before: '2025-09-02T23:59:59Z' }));
+    assert(ranged.meta.total_count === 2, 'Time range filter incorrect');
+
+    // Events are persisted and reloaded from the store file
+    const reloaded = new WebhookEventStore(storePath);
+    assert(reloaded.list({ limit: 10 }).meta.stored_count === 4, 'Events not persisted to the store file');
+  } finally {
+    await server.stopWebhookReceiver();
+    fs.rmSync(storePath, { force: true });
+  }
+
+  // All webhook receiver tests passed
+}
+
+run().catch((e) => { console.error(e); process.exit(1); });
@@ -0,0 +1,40 @@
+export const DRIP_MODES = ['full', 'readonly'];
+
+// Comma-separated tool names; "*" matches any run of characters, so
+// "drip_list_*" covers every list tool
+function parseToolList(value) {
+  if (!value || !value.trim()) return null;
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map((pattern) => {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return { pattern, regex: new RegExp(`^${source}$`) };
+  });
+}
+
+// Which tools the server offers, from DRIP_MODE (readonly hides every tool
+// that changes data in Drip), DRIP_ALLOWED_TOOLS (only these) and
+// DRIP_DENIED_TOOLS (never these). The deny list wins over the allow list.
+export function toolFilterFromEnv(env = process.env) {
+  const mode = (env.DRIP_MODE || 'full').toLowerCase();
+  if (!DRIP_MODES.includes(mode)) {
+    throw new Error(`Invalid DRIP_MODE "${env.DRIP_MODE}". Must be one of: ${DRIP_MODES.join(', ')}`);
+  }
+  return {
+    mode,
+    allow: parseToolList(env.DRIP_ALLOWED_TOOLS),
+    deny: parseToolList(env.DRIP_DENIED_TOOLS),
+  };
+}
+
+// Why a tool is unavailable, or null when it may be used
+export function toolDisabledReason(filter, name, readOnly) {
+  if (filter.mode === 'readonly' && !readOnly) {
+    return 'the server is in read-only mode (DRIP_MODE=readonly)';
+  }
+  if (filter.deny?.some(entry => entry.regex.test(name))) {
+    return 'it is listed in DRIP_DENIED_TOOLS';
+  }
+  if (filter.allow && !filter.allow.some(entry => entry.regex.test(name))) {
+    return 'it is not listed in DRIP_ALLOWED_TOOLS';
+  }
+  return null;
+}
@@ -0,0 +1,176 @@
+import fs from 'fs';
+import http from 'http';
+import { WEBHOOK_EVENTS } from './drip-client.js';
+import { DripValidationError } from './errors.js';
+
+// Reject webhook bodies larger than this (Drip payloads are a few KB)
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Stores received webhook events in memory, optionally appending each one
+// to a JSON Lines file so the history survives restarts.
+export class WebhookEventStore {
+  constructor(filePath = null) {
+    this.filePath = filePath;
+    this.events = [];
+
+    if (filePath && fs.existsSync(filePath)) {
+      const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+      for (const line of lines) {
+        if (line.trim() === '') continue;
+        try {
+          this.events.push(JSON.parse(line));
+        } catch {
+          // Skip partially written lines rather than refusing to start
+        }
+      }
+    }
+  }
+
+  async append(payload) {
+    const subscriber = payload.data?.subscriber || {};
+    const record = {
+      event: payload.event,
+      email: subscriber.email ? String(subscriber.email).toLowerCase() : null,
+      subscriber_id: subscriber.id || null,
+      account_id: payload.data?.account_id || payload.account_id || null,
+      occurred_at: payload.occurred_at || null,
+      received_at: new Date().toISOString(),
+      data: payload.data || {},
+    };
+
+    this.events.push(record);
+    if (this.filePath) {
+      await fs.promises.appendFile(this.filePath, JSON.stringify(record) + '\n');
+    }
+    return record;
+  }
+
+  list(params = {}) {
+    let events = this.events;
+
+    if (params.event) {
+      const types = Array.isArray(params.event) ? params.event : [params.event];
+      events = events.filter(e => types.includes(e.event));
+    }
+
+    if (params.email) {
+      const email = params.email.toLowerCase().trim();
+      events = events.filter(e => e.email === email);
+    }
+
+    // Time bounds apply to when Drip says the event occurred
+    if (params.since) {
+      const sinceDate = new Date(params.since);
+      if (isNaN(sinceDate.getTime())) throw new DripValidationError(`Invalid date format: ${params.since}`);
+      events = events.filter(e => new Date(e.occurred_at || e.received_at) >= sinceDate);
+    }
+
+    if (params.before) {
+      const beforeDate = new Date(params.before);
+      if (isNaN(beforeDate.getTime())) throw new DripValidationError(`Invalid date format: ${params.before}`);
+      events = events.filter(e => new Date(e.occurred_at || e.received_at) <= beforeDate);
+    }
+
+    // Most recent first
+    const sorted = [...events].sort((a, b) =>
+      new Date(b.occurred_at || b.received_at) - new Date(a.occurred_at || a.received_at)
+    );
+    const limit = Math.min(params.limit || 100, 1000);
+
+    return {
+      events: sorted.slice(0, limit),
+      meta: {
+        total_count: sorted.length,
+        returned_count: Math.min(sorted.length, limit),
+        stored_count: this.events.length,
+      },
+    };
+  }
+}
+
+// Minimal HTTP listener that accepts Drip webhook POSTs and appends them
+// to a WebhookEventStore.
+export class WebhookReceiver {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port ?? 0;
+    this.path = options.path || '/drip/webhooks';
+    // Optional shared secret, passed by Drip as ?token=... in the post_url
+    this.secret = options.secret || null;
+    this.server = null;
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+    const server = this.server;
+    this.server = null;
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  respond(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (url.pathname !== this.path) {
+      return this.respond(res, 404, { error: 'Not found' });
+    }
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return this.respond(res, 405, { error: 'Method not allowed' });
+    }
+    if (this.secret && url.searchParams.get('token') !== this.secret) {
+      return this.respond(res, 401, { error: 'Invalid webhook token' });
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        this.respond(res, 413, { error: 'Payload too large' });
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', async () => {
+      if (res.writableEnded) return;
+
+      let payload;
+      try {
+        payload = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch {
+        return this.respond(res, 400, { error: 'Body must be valid JSON' });
+      }
+
+      if (!payload || typeof payload !== 'object' || !WEBHOOK_EVENTS.includes(payload.event)) {
+        return this.respond(res, 400, { error: `Unsupported webhook event: ${payload?.event}` });
+      }
+
+      try {
+        const record = await this.store.append(payload);
+        this.respond(res, 202, { received: true, event: record.event });
+      } catch (error) {
+        console.error('Failed to store Drip webhook event:', error.message);
+        this.respond(res, 500, { error: 'Failed to store event' });
+      }
+    });
+  }
+}